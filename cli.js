@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// cli.js
+const logger = require('./utils/logger');
+const runLog = require('./utils/runLog');
+const { parseArguments } = require('./utils/args');
+
+const HELP = `SOP Generator
+
+Usage: node cli.js <command> [options]
+
+Commands:
+{{commands}}
+
+Options:
+  --provider <name>        Provider from config.providers (gemini, openRouter, local, echo).
+  --model <name>           Model to use.
+  --temperature <0.0-1.0>  Controls randomness.
+  --maxTokens <number>     Max response length.
+  --topK <number>          Top-K sampling value.
+  --topP <number>          Top-P sampling value.
+  --resume <filename>      Resume from the 'resume' folder (pdf, docx, txt or md; the extension is
+                           optional). With "add" it is stored on the new application;
+                           otherwise it is used for applications that do not name one.
+  --output <folder>        Also copy new prompts, SOPs or exported documents to this folder.
+                           Every artifact is always versioned under applications/<candidate>/<id>/.
+  --row <n>                Only act on application n, as numbered by "status".
+  --template <name>        Document template from templates/ (masters-sop, visa-circumstances, ...).
+                           With "add" it is stored on the new application; otherwise it is used
+                           for applications without a documentType.
+  --crawl                  Also crawl same-site sub-pages (modules, admission, fees...) of course URLs.
+  --crawl-depth <n>        Link hops to follow from the course URL (default from config.crawl).
+  --crawl-pages <n>        Maximum pages to fetch per course URL (default from config.crawl).
+  --profile <name>         Credential profile for the LLM API keys (see below). With "add" it is
+                           stored on the new application; otherwise it is used for applications
+                           that do not name one.
+  --name <candidate>       Candidate name for "add".
+  --input-file <path>      Read the course text for "add" from a file.
+  --concurrency <n>        Applications worked on at once (default from config.batch); provider limits
+                           in config.rateLimits still apply.
+  --feedback <text>        Reviewer feedback for "revise" (with --row).
+  --feedback-file <path>   Read the feedback for "revise" from a file (with --row).
+  --drafts <n>             SOP drafts per application; with more than one, drafts are scored and
+                           the best becomes the SOP (default from config.drafts).
+  --draft-models <list>    Comma-separated models to rotate through, e.g.
+                           "openRouter:qwen/qwen3-235b-a22b:free,gemini:gemini-2.0-flash".
+  --draft-temperatures <list>
+                           Comma-separated temperatures to rotate through, e.g. 0.5,0.9.
+  --no-cache               Ignore and do not write the page/LLM cache in data/.cache or the
+                           parsed resume profiles in data/profiles.
+  --no-stream              Wait for whole SOP replies instead of streaming them.
+  --restart                Discard saved partial SOPs and generate from the start.
+  --file <path>            CSV file for "import"/"export" (default data/applications.csv).
+  --format <list>          Document formats (docx, pdf): with "export" instead of the CSV
+                           (add csv to get both); with "sops", "run" and "revise" finished SOPs
+                           are exported too (default from config.documents).
+  --style <name>           Document style from styles/ (default, compact, ...).
+  --port <n>               Port for "serve" (default from config.dashboard).
+  --verbose                Also show debug output (every LLM request, cache hits, latencies).
+  --quiet                  Only show warnings and errors.
+  --all                    With "cache-prune", delete every cache entry, not just expired ones.
+  --help                   Show this help message.
+
+The LLM options apply to the command's own stage: metadata extraction for "prompts",
+SOP generation for "sops", "run", "retry" and "revise". Prefix them with metadata-, resume-,
+sop- or judge- to target a stage explicitly (resume- is the resume-to-profile extraction,
+judge- the draft scoring), e.g. --metadata-model gemini-2.0-flash --sop-temperature 0.7.
+
+API keys are only needed for the providers a command actually uses. A credential profile is a
+second set of keys in .env with the profile name as suffix: GEMINI_API_KEY_TEAM and
+OPENROUTER_API_KEY_TEAM make up profile "team" (missing ones fall back to the plain keys).
+SOP_PROFILE sets the default profile. Keys are masked in all log output.
+
+A programme's own rules (word or character limit, questions to answer, format) are read from
+requirements/<course>_<university>.json. The file is written from the course page the first
+time a programme states any rule and is never overwritten, so it can be corrected or written by
+hand. The rules are added to the prompt; SOPs over the limit are trimmed and SOPs that skip a
+question are regenerated (config.requirements), otherwise they are flagged for review.
+
+Course pages too long for the metadata model are summarised chunk by chunk, and the resume is
+shortened to what matters most for the course when a prompt would not fit the SOP model's
+context window (config.models, config.budget; set LOCAL_LLM_CONTEXT for a local server).
+
+SOP replies are streamed: shown in the terminal as they arrive and saved to
+applications/<candidate>/<id>/sop.partial.txt (sop-draft-<n>.partial.txt with several drafts).
+If a generation fails or is interrupted the partial file stays for inspection, and the next
+run for the same prompt asks the model to continue from it (config.streaming).
+
+Commands that call an LLM write a JSON-lines run log and a summary report (rows, failures,
+latency, tokens and estimated cost per provider) to data/logs/. LOG_LEVEL and LOG_FORMAT=json
+set the console defaults.
+
+Data and generated files live under the workspace root (SOP_WORKSPACE, default: this folder);
+recorded paths are relative to it.`;
+
+function printHelp(commands) {
+  const list = Object.entries(commands)
+    .map(([name, command]) => `  ${name.padEnd(13)}${command.summary}`)
+    .join('\n');
+  console.log(HELP.replace('{{commands}}', list));
+}
+
+async function main() {
+  const { command, options, positionals } = parseArguments();
+  const commands = require('./commands');
+
+  const config = require('./config');
+  if (options.noCache) {
+    config.cache.enabled = false;
+  }
+  if (options.verbose) config.logging.level = 'debug';
+  if (options.quiet) config.logging.level = 'warn';
+  if (options.noStream) config.streaming.enabled = false;
+
+  if (!command || options.help) {
+    printHelp(commands);
+    return;
+  }
+
+  const handler = commands[command];
+  if (!handler) {
+    throw new Error(`Unknown command "${command}". Available commands: ${Object.keys(commands).join(', ')}.`);
+  }
+
+  // API keys are checked when a provider is first used; a mistyped profile fails right away.
+  if (options.profile) {
+    require('./utils/credentials').resolveProfile(options.profile);
+  }
+
+  // Commands that call an LLM get a run log and a summary report (utils/runLog).
+  if (handler.report) {
+    logger.debug(`Run log: ${runLog.start(command)}`);
+  }
+  // Commands that stream SOPs keep the text streamed so far on Ctrl+C (services/checkpointService).
+  if (handler.streams) {
+    process.once('SIGINT', () => {
+      require('./services/checkpointService').flushAll();
+      require('./utils/liveOutput').end();
+      logger.warn('Interrupted; any partial SOPs are kept for the next run.');
+      process.exit(130);
+    });
+  }
+  try {
+    await handler.run({ options, positionals });
+  } finally {
+    const finished = runLog.finish();
+    if (finished && (finished.report.rows.processed > 0 || finished.report.totals.calls > 0)) {
+      runLog.formatReport(finished.report).forEach(line => logger.info(line));
+      logger.info(`Run report: ${finished.reportPath}`);
+    }
+  }
+}
+
+main().catch(err => {
+  logger.error('An unexpected fatal error occurred.', err.message);
+  process.exitCode = 1;
+});
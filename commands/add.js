@@ -0,0 +1,30 @@
+// commands/add.js
+const fs = require('fs');
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+
+async function run({ options, positionals }) {
+  const courseInput = options.inputFile
+    ? fs.readFileSync(options.inputFile, 'utf8')
+    : positionals.join(' ');
+
+  if (!options.name || !courseInput.trim()) {
+    throw new Error('Usage: add --name "<candidate>" [--resume <file>] [--template <name>] [--profile <name>] "<URL_or_course_text>" | --input-file <path>');
+  }
+
+  const applications = await store.load();
+  const record = store.add({
+    candidateName: options.name,
+    resumeFile: options.resume,
+    courseInput: courseInput.trim(),
+    documentType: options.template,
+    profile: options.profile,
+  });
+
+  logger.success(`Added application ${record.id} for ${options.name} as row ${applications.length + 1}.`);
+}
+
+module.exports = {
+  summary: 'Add a new application.',
+  run,
+};
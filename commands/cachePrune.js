@@ -0,0 +1,14 @@
+// commands/cachePrune.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+
+async function run({ options }) {
+  const { removed, kept } = cache.prune({ all: options.all });
+  logger.success(`Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'} from ${config.paths.cache}; ${kept} still valid.`);
+}
+
+module.exports = {
+  summary: 'Delete expired entries from the page/LLM cache (--all to clear it).',
+  run,
+};
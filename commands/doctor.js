@@ -0,0 +1,60 @@
+// commands/doctor.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const workspace = require('../utils/workspace');
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+
+// Checks every recorded artifact path. With `fix`, paths that can be mapped
+// into the workspace are rewritten in relative form, and stages whose file is
+// really gone are marked failed so `retry` regenerates them.
+function checkArtifacts(applications, options = {}) {
+  const summary = { ok: 0, relocated: 0, missing: 0 };
+
+  applications.forEach((app, index) => {
+    if (!pipelineService.isSelected(index, options)) return;
+
+    for (const stage of store.STAGES) {
+      const { status, path: storedPath } = app.stages[stage];
+      if (!store.hasArtifact(app.stages[stage]) || !storedPath) continue;
+
+      const relocated = workspace.relocate(storedPath);
+      const label = `${String(index + 1).padStart(3)} ${stage.padEnd(6)}`;
+
+      if (relocated === storedPath) {
+        summary.ok++;
+      } else if (relocated) {
+        summary.relocated++;
+        console.log(`${label} ${storedPath}\n           -> ${relocated}`);
+        if (options.fix && status === 'needs_review') store.flagStage(app, stage, relocated, app.stages[stage].issues);
+        else if (options.fix) store.completeStage(app, stage, relocated);
+      } else {
+        summary.missing++;
+        console.log(`${label} MISSING ${storedPath}`);
+        if (options.fix) {
+          store.failStage(app, stage, new Error(`Artifact not found: ${storedPath}`), { code: 'FAILED_MISSING_ARTIFACT' });
+        }
+      }
+    }
+  });
+  return summary;
+}
+
+async function run({ options }) {
+  const applications = await store.load();
+  const { ok, relocated, missing } = checkArtifacts(applications, options);
+
+  logger.info(`Workspace: ${config.paths.workspace}`);
+  logger.info(`${ok} artifact path(s) OK, ${relocated} ${options.fix ? 'relocated' : 'need relocating'}, ${missing} missing.`);
+  if (!options.fix && (relocated || missing)) {
+    logger.info('Run "relocate" to rewrite the paths and mark missing artifacts as failed.');
+  } else if (options.fix && missing) {
+    logger.info('Missing artifacts were marked as failed; run "retry" to regenerate them.');
+  }
+}
+
+module.exports = {
+  summary: 'Report artifact paths that are absolute, from another machine, or missing.',
+  run,
+  checkArtifacts,
+};
@@ -0,0 +1,43 @@
+// commands/export.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const csvService = require('../services/csvService');
+const documentService = require('../services/documentService');
+const pipelineService = require('../services/pipelineService');
+
+// Renders the current SOP of each selected application as DOCX/PDF.
+async function exportDocuments(applications, formats, options) {
+  let exported = 0;
+  for (const [index, app] of applications.entries()) {
+    if (!pipelineService.isSelected(index, options) || !store.hasArtifact(app.stages.sop)) continue;
+    if (app.stages.sop.status === 'needs_review') {
+      logger.warn(`${index + 1}: exporting ${app.candidateName}'s SOP although it is marked for review.`);
+    }
+    try {
+      await documentService.exportSop(app, { formats, style: options.style, output: options.output });
+      exported++;
+    } catch (error) {
+      logger.error(`Failed to export the SOP of ${app.candidateName}.`, error.message);
+    }
+  }
+  logger.info(`Exported ${exported} SOP(s) as ${formats.join(', ')}.`);
+}
+
+async function run({ options }) {
+  const applications = await store.load();
+  const formats = options.formats || ['csv'];
+
+  if (formats.includes('csv')) {
+    await csvService.writeApplications(store.toCsvRows(applications), { csvFile: options.file || config.paths.csvFile });
+  }
+  const documentFormats = formats.filter(format => format !== 'csv');
+  if (documentFormats.length > 0) {
+    await exportDocuments(applications, documentFormats, options);
+  }
+}
+
+module.exports = {
+  summary: 'Write all applications to a CSV (--file), or SOPs as documents with --format docx,pdf.',
+  run,
+};
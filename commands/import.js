@@ -0,0 +1,19 @@
+// commands/import.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const csvService = require('../services/csvService');
+
+async function run({ options }) {
+  const csvFile = options.file || config.paths.csvFile;
+  const applications = await store.load();
+  const rows = await csvService.readApplications(csvFile);
+
+  const { added, updated, skipped } = store.importRows(rows, applications);
+  logger.success(`Imported ${csvFile}: ${added} added, ${updated} updated, ${skipped} blank row(s) skipped.`);
+}
+
+module.exports = {
+  summary: 'Merge applications from a CSV (default data/applications.csv, or --file <path>).',
+  run,
+};
@@ -0,0 +1,17 @@
+// commands/index.js
+module.exports = {
+  prompts: require('./prompts'),
+  sops: require('./sops'),
+  run: require('./run'),
+  status: require('./status'),
+  add: require('./add'),
+  retry: require('./retry'),
+  lint: require('./lint'),
+  revise: require('./revise'),
+  import: require('./import'),
+  export: require('./export'),
+  doctor: require('./doctor'),
+  relocate: require('./relocate'),
+  'cache-prune': require('./cachePrune'),
+  serve: require('./serve'),
+};
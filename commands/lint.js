@@ -0,0 +1,64 @@
+// commands/lint.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const workspace = require('../utils/workspace');
+const store = require('../services/applicationStore');
+const artifactService = require('../services/artifactService');
+const lintService = require('../services/lintService');
+const pipelineService = require('../services/pipelineService');
+
+// Whether the SOP a reviewer approved is still the text on disk. Approvals
+// recorded without a hash are checked against the hash in the manifest.
+function stillApproved(app, sopPath, text) {
+  const stage = app.stages.sop;
+  if (!stage.approvedAt) return false;
+  const approvedHash = stage.approvedSha256 || artifactService.readManifest(artifactService.applicationDir(app)).artifacts
+    .find(entry => entry.file === path.basename(sopPath))?.sha256;
+  return approvedHash === artifactService.sha256(text);
+}
+
+// Re-checks the current SOP of each application, e.g. after it was edited by
+// hand, and moves it between "done" and "needs_review" accordingly. An
+// approved SOP keeps its approval as long as its text is unchanged.
+async function run({ options }) {
+  const applications = await store.load();
+  const summary = { passed: 0, flagged: 0, approved: 0, skipped: 0 };
+
+  for (const [index, app] of applications.entries()) {
+    if (!pipelineService.isSelected(index, options) || !store.hasArtifact(app.stages.sop)) continue;
+
+    const sopPath = workspace.resolveStoredPath(app.stages.sop.path);
+    const promptPath = workspace.resolveStoredPath(app.stages.prompt.path);
+    if (!fs.existsSync(sopPath) || !promptPath || !fs.existsSync(promptPath)) {
+      logger.warn(`${index + 1}: SOP or prompt file missing; run "doctor".`);
+      summary.skipped++;
+      continue;
+    }
+
+    const expected = pipelineService.expectationsFor(app, fs.readFileSync(promptPath, 'utf8'));
+    const text = fs.readFileSync(sopPath, 'utf8');
+    const { passed, issues } = lintService.lint(text, expected);
+    const approved = stillApproved(app, sopPath, text);
+    const label = `${String(index + 1).padStart(3)}  ${app.candidateName}`;
+    console.log(`${label}: ${approved ? 'approved' : passed ? 'ok' : 'needs review'}`);
+    issues.forEach(issue => console.log(`       [${issue.severity}] ${issue.message}`));
+
+    if (approved) {
+      summary.approved++;
+    } else if (passed) {
+      summary.passed++;
+      store.completeStage(app, 'sop', app.stages.sop.path);
+    } else {
+      summary.flagged++;
+      store.flagStage(app, 'sop', app.stages.sop.path, issues);
+    }
+  }
+
+  logger.info(`${summary.passed} SOP(s) passed, ${summary.flagged} need review, ${summary.approved} approved and unchanged, ${summary.skipped} skipped.`);
+}
+
+module.exports = {
+  summary: 'Check generated SOPs against their prompts and update their review status.',
+  run,
+};
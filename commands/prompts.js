@@ -0,0 +1,31 @@
+// commands/prompts.js
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+const { llmOverrides } = require('../utils/args');
+
+async function run({ options }) {
+  logger.info('--- Starting SOP Prompt Generation Process ---');
+  const applications = await store.load();
+
+  if (applications.length === 0) {
+    logger.warn('No applications yet. Use the "add" or "import" command to add some.');
+    return;
+  }
+
+  await pipelineService.generatePrompts(applications, {
+    ...options,
+    metadataOverrides: llmOverrides(options, 'metadata', { primary: true }),
+    resumeOverrides: llmOverrides(options, 'resume'),
+    // The prompt is fitted to the model that will write the SOP.
+    sopOverrides: llmOverrides(options, 'sop'),
+  });
+
+  logger.info('--- Process Complete ---');
+}
+
+module.exports = {
+  summary: 'Extract course metadata and build SOP prompts for pending applications.',
+  report: true,
+  run,
+};
@@ -0,0 +1,11 @@
+// commands/relocate.js
+const doctor = require('./doctor');
+
+async function run({ options, positionals }) {
+  await doctor.run({ options: { ...options, fix: true }, positionals });
+}
+
+module.exports = {
+  summary: 'Rewrite artifact paths relative to the workspace; mark missing ones as failed.',
+  run,
+};
@@ -0,0 +1,27 @@
+// commands/retry.js
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+const { runPipeline } = require('./run');
+
+async function run({ options }) {
+  logger.info('--- Retrying Failed Applications ---');
+  const applications = await store.load();
+
+  const resetCount = pipelineService.resetFailures(applications, options);
+  if (resetCount === 0) {
+    logger.info('No failed applications to retry.');
+    return;
+  }
+
+  logger.info(`Reset failed stages on ${resetCount} application(s).`);
+  await runPipeline(applications, options);
+  logger.info('--- Retry Complete ---');
+}
+
+module.exports = {
+  summary: 'Reset failed stages (all applications or --row <n>) and run the pipeline again.',
+  report: true,
+  streams: true,
+  run,
+};
@@ -0,0 +1,32 @@
+// commands/revise.js
+const fs = require('fs');
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+const { llmOverrides } = require('../utils/args');
+
+async function run({ options }) {
+  let feedback = options.feedback;
+  if (options.feedbackFile) {
+    if (!fs.existsSync(options.feedbackFile)) throw new Error(`Feedback file not found: ${options.feedbackFile}`);
+    feedback = fs.readFileSync(options.feedbackFile, 'utf8');
+  }
+  if (feedback !== undefined && !options.row) {
+    throw new Error('Usage: revise --row <n> --feedback "<text>" | --feedback-file <path>  (or set the feedback column and run "revise")');
+  }
+
+  logger.info('--- Revising SOPs From Feedback ---');
+  const applications = await store.load();
+  const { succeeded, failed } = await pipelineService.reviseSops(applications, {
+    ...options,
+    feedback,
+    sopOverrides: llmOverrides(options, 'sop', { primary: true }),
+  });
+  logger.info(`--- Revised ${succeeded} SOP(s)${failed > 0 ? `, ${failed} failed` : ''} ---`);
+}
+
+module.exports = {
+  summary: 'Revise existing SOPs from reviewer feedback (--feedback, --feedback-file or the feedback column).',
+  report: true,
+  run,
+};
@@ -0,0 +1,43 @@
+// commands/run.js
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+const { llmOverrides } = require('../utils/args');
+
+// Both stages back to back; progress is saved to the store as each application finishes.
+// With --output, prompts and SOPs are both copied there (their file names differ).
+async function runPipeline(applications, options) {
+  await pipelineService.generatePrompts(applications, {
+    ...options,
+    metadataOverrides: llmOverrides(options, 'metadata'),
+    resumeOverrides: llmOverrides(options, 'resume'),
+    sopOverrides: llmOverrides(options, 'sop', { primary: true }),
+  });
+
+  await pipelineService.generateSops(applications, {
+    ...options,
+    sopOverrides: llmOverrides(options, 'sop', { primary: true }),
+    judgeOverrides: llmOverrides(options, 'judge'),
+  });
+}
+
+async function run({ options }) {
+  logger.info('--- Starting Full Pipeline ---');
+  const applications = await store.load();
+
+  if (applications.length === 0) {
+    logger.warn('No applications yet. Use the "add" or "import" command to add some.');
+    return;
+  }
+
+  await runPipeline(applications, options);
+  logger.info('--- Pipeline Complete ---');
+}
+
+module.exports = {
+  summary: 'Run both stages: build pending prompts, then generate pending SOPs.',
+  report: true,
+  streams: true,
+  run,
+  runPipeline,
+};
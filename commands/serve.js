@@ -0,0 +1,17 @@
+// commands/serve.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { startServer } = require('../web/server');
+
+async function run({ options }) {
+  const port = options.port || config.dashboard.port;
+  await startServer({ port });
+  logger.success(`Dashboard running at http://${config.dashboard.host}:${port} (Ctrl+C to stop).`);
+}
+
+module.exports = {
+  summary: 'Start the local web dashboard.',
+  // Dashboard SOP jobs stream too; Ctrl+C keeps their partial text.
+  streams: true,
+  run,
+};
@@ -0,0 +1,25 @@
+// commands/sops.js
+const logger = require('../utils/logger');
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+const { llmOverrides } = require('../utils/args');
+
+async function run({ options }) {
+  logger.info('--- Starting Final SOP Generation Process ---');
+  const applications = await store.load();
+
+  await pipelineService.generateSops(applications, {
+    ...options,
+    sopOverrides: llmOverrides(options, 'sop', { primary: true }),
+    judgeOverrides: llmOverrides(options, 'judge'),
+  });
+
+  logger.info('--- SOP Generation Process Complete ---');
+}
+
+module.exports = {
+  summary: 'Generate SOPs for applications that have a prompt but no SOP yet.',
+  report: true,
+  streams: true,
+  run,
+};
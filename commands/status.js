@@ -0,0 +1,51 @@
+// commands/status.js
+const store = require('../services/applicationStore');
+const pipelineService = require('../services/pipelineService');
+
+async function run({ options }) {
+  const applications = await store.load();
+  const rows = applications
+    .map((app, index) => ({ app, index }))
+    .filter(({ index }) => pipelineService.isSelected(index, options));
+
+  if (rows.length === 0) {
+    console.log('No applications found.');
+    return;
+  }
+
+  const counts = {};
+  for (const { app, index } of rows) {
+    const promptState = pipelineService.describeStage(app.stages.prompt);
+    const sopState = app.stages.prompt.status === 'failed' && app.stages.sop.status === 'pending'
+      ? 'blocked'
+      : pipelineService.describeStage(app.stages.sop);
+    counts[`prompt ${app.stages.prompt.status}`] = (counts[`prompt ${app.stages.prompt.status}`] || 0) + 1;
+    counts[`sop ${app.stages.sop.status}`] = (counts[`sop ${app.stages.sop.status}`] || 0) + 1;
+
+    const label = [app.candidateName, app.courseName, app.universityName]
+      .map(value => (value || '').trim())
+      .filter(Boolean)
+      .join(' | ');
+    console.log(`${String(index + 1).padStart(3)}  [${app.id}] prompt: ${promptState.padEnd(18)} sop: ${sopState.padEnd(18)} ${label}`);
+
+    // With --row, show the full stage history for that application.
+    if (options.row) {
+      for (const stage of store.STAGES) {
+        const { status, attempts, path, error, issues = [], startedAt, completedAt, updatedAt } = app.stages[stage];
+        console.log(`       ${stage}: ${status}, ${attempts} attempt(s), updated ${updatedAt || 'never'}`);
+        if (startedAt) console.log(`         started ${startedAt}${completedAt ? `, completed ${completedAt}` : ''}`);
+        if (path) console.log(`         file: ${path}`);
+        if (error) console.log(`         error: ${error}`);
+        issues.forEach(issue => console.log(`         ${issue.severity}: ${issue.message}`));
+      }
+    }
+  }
+
+  console.log('');
+  console.log(Object.entries(counts).map(([key, count]) => `${key}: ${count}`).join(', '));
+}
+
+module.exports = {
+  summary: 'Show every application with its prompt and SOP status (--row <n> for details).',
+  run,
+};
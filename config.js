@@ -1,54 +1,325 @@
 // config.js
 require('dotenv').config();
 const path = require('path');
+const context = require('./utils/context');
 
-// Basic validation
-if (!process.env.GEMINI_API_KEY || !process.env.OPENROUTER_API_KEY) {
-  console.error("FATAL ERROR: Ensure both GEMINI_API_KEY and OPENROUTER_API_KEY are set in the .env file.");
-  process.exit(1);
+// Credential profiles from suffixed variables: GEMINI_API_KEY_TEAM=... becomes
+// { team: { gemini: '...' } } (see utils/credentials).
+function profilesFromEnv(env, providers) {
+  const profiles = {};
+  for (const [providerName, provider] of Object.entries(providers)) {
+    if (!provider.apiKeyEnv) continue;
+    const prefix = `${provider.apiKeyEnv}_`;
+    for (const [variable, value] of Object.entries(env)) {
+      if (!variable.startsWith(prefix) || !value) continue;
+      const profile = variable.slice(prefix.length).toLowerCase();
+      profiles[profile] = { ...profiles[profile], [providerName]: value };
+    }
+  }
+  return profiles;
 }
 
-module.exports = {
-  apiKey: process.env.GEMINI_API_KEY,
-  openRouterApiKey: process.env.OPENROUTER_API_KEY,
-
-  // File and folder paths
-  paths: {
-    data: path.join(__dirname, 'data'),
-    csvFile: path.join(__dirname, 'data', 'applications.csv'),
-    prompts: path.join(__dirname, 'prompts'),
-    resumes: path.join(__dirname, 'resume'),
-  },
-
-  // Gemini model and generation settings
-  gemini: {
-    modelName: 'gemini-2.5-flash-lite-preview-06-17',
-    generationConfig: {
-      temperature: 0.4,
-      topK: 1,
-      topP: 1,
-      maxOutputTokens: 2048,
-    },
-  },
-    // OpenRouter configuration <-- NEW
+// Builds a full configuration. The CLI uses the default one below; the library
+// entry point (index.js) builds one per pipeline from the caller's options, so
+// nothing here may exit the process or depend on a particular checkout.
+// `workspace` is the root for all candidate data and generated artifacts. Paths
+// recorded in the store and the CSV are relative to it, so a checkout works on
+// any machine.
+function createConfig({ env = process.env, workspace = env.SOP_WORKSPACE ? path.resolve(env.SOP_WORKSPACE) : __dirname } = {}) {
+  // LLM backends. Each entry is handed to services/providers/createProvider;
+  // `type` picks the adapter: 'gemini', 'openrouter', 'openai' (any
+  // OpenAI-compatible chat/completions endpoint) or 'echo' (offline fixtures).
+  // `apiKeyEnv` names the variable holding the key; it is only required once
+  // the provider is actually used, unless `apiKeyOptional` is set.
+  // `structuredOutput` sends JSON schemas (metadata extraction) to the API;
+  // turn it on for a local server that supports response_format json_schema.
+  // `supportsTopK` lets an OpenAI-compatible provider send top_k, which the
+  // OpenAI API and some compatible servers reject; others leave topK out.
+  const providers = {
+    gemini: {
+      type: 'gemini',
+      apiKey: env.GEMINI_API_KEY,
+      apiKeyEnv: 'GEMINI_API_KEY',
+      structuredOutput: true,
+      model: 'gemini-2.5-flash-lite-preview-06-17',
+    },
     openRouter: {
-    apiUrl: 'https://openrouter.ai/api/v1/chat/completions',
-    // Use a powerful and well-tested model from OpenRouter
-    model: 'qwen/qwen3-235b-a22b:free', // This matches your log output
-    // Replace with your project name or website. Can be a placeholder.
-    httpReferer: 'http://localhost/sop-generator', 
-    siteName: 'SOP-Generator-Project',
-    },
-  // CSV column headers
-  csvHeaders: [
-    { id: 'candidateName', title: 'candidateName' },
-    { id: 'resumeFile', title: 'resumeFile' },
-    { id: 'courseInput', title: 'courseInput' },
-    { id: 'courseName', title: 'courseName' },
-    { id: 'universityName', title: 'universityName' },
-    { id: 'promptPath', title: 'promptPath' },
-    { id: 'sopPath', title: 'sopPath' }, // <-- NEW
-    // NOTE: The 'prompt' itself is too large for a clean CSV.
-    // We will store the path and generate the prompt on demand.
-  ],
-};
\ No newline at end of file
+      type: 'openrouter',
+      apiUrl: 'https://openrouter.ai/api/v1/chat/completions',
+      apiKey: env.OPENROUTER_API_KEY,
+      apiKeyEnv: 'OPENROUTER_API_KEY',
+      structuredOutput: true,
+      supportsTopK: true,
+      model: 'qwen/qwen3-235b-a22b:free',
+      // Replace with your project name or website. Can be a placeholder.
+      httpReferer: 'http://localhost/sop-generator',
+      siteName: 'SOP-Generator-Project',
+    },
+    // Local Ollama by default; point LOCAL_LLM_URL at a llama.cpp server or any other
+    // OpenAI-compatible endpoint.
+    local: {
+      type: 'openai',
+      apiUrl: env.LOCAL_LLM_URL || 'http://localhost:11434/v1/chat/completions',
+      apiKey: env.LOCAL_LLM_API_KEY,
+      apiKeyEnv: 'LOCAL_LLM_API_KEY',
+      apiKeyOptional: true,
+      structuredOutput: env.LOCAL_LLM_STRUCTURED_OUTPUT === 'true',
+      supportsTopK: env.LOCAL_LLM_TOP_K === 'true',
+      model: env.LOCAL_LLM_MODEL || 'llama3.1',
+    },
+    echo: {
+      type: 'echo',
+      fixturesDir: path.join(__dirname, 'data', 'fixtures'),
+    },
+  };
+
+  return {
+    // File and folder paths
+    paths: {
+      workspace,
+      data: path.join(workspace, 'data'),
+      csvFile: path.join(workspace, 'data', 'applications.csv'),
+      store: path.join(workspace, 'data', 'applications.jsonl'),
+      // Per-application folders with versioned artifacts (see services/artifactService).
+      applications: path.join(workspace, 'applications'),
+      // Flat prompt folder of older runs; only read for rows that still point at it.
+      prompts: path.join(workspace, 'prompts'),
+      templates: path.join(__dirname, 'templates'),
+      styles: path.join(__dirname, 'styles'),
+      guidance: path.join(__dirname, 'guidance'),
+      // Per-programme rules (word limits, required questions, format), see services/requirementsService.
+      requirements: path.join(workspace, 'requirements'),
+      profiles: path.join(workspace, 'data', 'profiles'),
+      cache: path.join(workspace, 'data', '.cache'),
+      logs: path.join(workspace, 'data', 'logs'),
+      resumes: path.join(workspace, 'resume'),
+    },
+
+    providers,
+
+    // Named sets of API keys (utils/credentials). `profile` is the one used when
+    // neither --profile nor the row's profile column picks another; "default"
+    // means the plain variables above.
+    credentials: {
+      profile: env.SOP_PROFILE || 'default',
+      profiles: profilesFromEnv(env, providers),
+    },
+
+    // Which provider each pipeline task uses. `model` falls back to the provider's own.
+    llm: {
+      metadata: {
+        provider: env.METADATA_PROVIDER || 'gemini',
+        model: env.METADATA_MODEL,
+        params: { temperature: 0.4, topK: 1, topP: 1, maxTokens: 2048 },
+        // Follow-up requests when a reply is not valid JSON for the metadata schema.
+        repairAttempts: 2,
+      },
+      resume: {
+        provider: env.RESUME_PROVIDER || 'gemini',
+        model: env.RESUME_MODEL,
+        params: { temperature: 0, maxTokens: 4096 },
+      },
+      sop: {
+        provider: env.SOP_PROVIDER || 'openRouter',
+        model: env.SOP_MODEL,
+        params: {},
+      },
+      // Scores SOP drafts against a rubric when more than one is generated.
+      judge: {
+        provider: env.JUDGE_PROVIDER || 'gemini',
+        model: env.JUDGE_MODEL,
+        params: { temperature: 0, maxTokens: 1024 },
+      },
+    },
+
+    // SOP drafts per application (--drafts). Draft i uses models[i % n] and
+    // temperatures[i % n] when those lists are set (--draft-models,
+    // --draft-temperatures); a model may be written "<provider>:<model>". With more
+    // than one draft, each is scored by the judge and by local heuristics
+    // (structure, length, repetition, names), blended with `weights`, and the best
+    // one becomes the application's SOP.
+    drafts: {
+      count: 1,
+      models: [],
+      temperatures: [],
+      weights: { judge: 0.6, heuristics: 0.4 },
+    },
+
+    // Batch scheduling. `batch.concurrency` is how many CSV rows are worked on at
+    // once (--concurrency); rateLimits cap the calls each provider receives,
+    // whatever the task; "<provider>:<profile>" entries (e.g. "gemini:team")
+    // give a credential profile its own limits. Rate-limited (429) and 5xx replies are retried with
+    // exponential backoff, honouring Retry-After.
+    batch: {
+      concurrency: 4,
+    },
+    rateLimits: {
+      gemini: { concurrency: 2, ratePerMinute: 15, burst: 2 },
+      openRouter: { concurrency: 1, ratePerMinute: 20, burst: 1 },
+      local: { concurrency: 1 },
+      echo: { concurrency: 8 },
+      default: { concurrency: 2, ratePerMinute: 60, burst: 2 },
+    },
+    retry: {
+      retries: 4,
+      baseDelayMs: 2000,
+      maxDelayMs: 60000,
+    },
+
+    // DOCX/PDF export of finished SOPs (services/documentService). `formats` are
+    // rendered after every successful generation or revision (--format overrides
+    // it per run); `style` names a file in styles/ (--style). SOPs that need a
+    // review are not exported automatically.
+    documents: {
+      formats: [],
+      style: 'default',
+      locale: 'en-GB',
+    },
+
+    // Checks run on every generated SOP (services/lintService). With autoStrip,
+    // reasoning blocks and prompt headings are removed before saving instead of
+    // being reported. SOPs with errors get the "needs_review" status.
+    // wordTolerance is how far outside a word budget counts as an error.
+    lint: {
+      autoStrip: true,
+      wordTolerance: 0.25,
+      cliches: [
+        'since childhood', 'since my childhood', 'from a young age', 'ever since I was a child',
+        'I have always been fascinated', 'burning desire', 'dream come true', 'in today\'s fast-paced world',
+        'ever-evolving', 'rapidly evolving field', 'cutting-edge', 'delve into', 'tapestry', 'a testament to',
+        'I am writing to express', 'passion for', 'unwavering',
+      ],
+    },
+
+    // Streamed SOP generation (services/sopService, --no-stream to turn it off).
+    // The text is shown in the terminal as it arrives (`live`) and saved every
+    // `checkpointMs` to a partial file in the application's folder; an
+    // interrupted generation continues from there on the next run (--restart
+    // discards it). A stream silent for `idleTimeoutMs` is aborted.
+    streaming: {
+      enabled: true,
+      live: true,
+      checkpointMs: 2000,
+      idleTimeoutMs: 120000,
+    },
+
+    // Enforcement of a programme's own rules after generation and revision
+    // (services/requirementsService): an SOP over the word or character limit is
+    // sent back to be trimmed, one that skips a required question is regenerated,
+    // up to `fixAttempts` times. Whether questions are answered is judged by the
+    // judge task (`checkQuestions`); SOPs still breaking a rule need a review.
+    requirements: {
+      fixAttempts: 2,
+      checkQuestions: true,
+    },
+
+    // On-disk cache for fetched pages and LLM replies (bypass with --no-cache,
+    // clean up with the cache-prune command). Stale pages are revalidated with
+    // their ETag/Last-Modified before being fetched again.
+    cache: {
+      enabled: true,
+      httpTtlHours: 24,
+      llmTtlHours: 24 * 30,
+    },
+
+    // Multi-page crawling of course URLs (enable per run with --crawl).
+    // Only same-site links whose URL or text contains a keyword are followed.
+    crawl: {
+      enabled: false,
+      maxDepth: 1,
+      maxPages: 6,
+      keywords: ['module', 'curriculum', 'course-structure', 'syllabus', 'handbook', 'admission', 'requirement', 'application', 'fees', 'tuition'],
+      // Minimum gap between two requests to the same host; a longer robots.txt Crawl-delay wins.
+      delayMs: 1000,
+      // Limit for each page and robots.txt request, with or without --crawl.
+      timeoutMs: 30000,
+      userAgent: 'SOP-Generator-Bot/2.0 (+http://localhost/sop-generator)',
+    },
+
+    // Console logging (utils/logger): `level` is debug, info, warn or error
+    // (--verbose and --quiet override it per run); `format` is 'text' or 'json'.
+    // Runs that call an LLM also write a JSON-lines log and a summary report to
+    // paths.logs (utils/runLog).
+    logging: {
+      level: env.LOG_LEVEL || 'info',
+      format: env.LOG_FORMAT || 'text',
+    },
+
+    // Estimated prices in USD per million tokens, for the cost in run reports.
+    // Keys are "<provider>:<model>", or "<provider>" for all of its models;
+    // models without an entry are reported without a cost.
+    pricing: {
+      'gemini:gemini-2.5-flash-lite-preview-06-17': { prompt: 0.10, completion: 0.40 },
+      'gemini:gemini-2.0-flash': { prompt: 0.10, completion: 0.40 },
+      'gemini:gemini-2.5-flash': { prompt: 0.30, completion: 2.50 },
+      'openRouter:qwen/qwen3-235b-a22b:free': { prompt: 0, completion: 0 },
+      local: { prompt: 0, completion: 0 },
+      echo: { prompt: 0, completion: 0 },
+    },
+
+    // Context windows and token estimates per model (services/budgetService).
+    // Keys work as in `pricing`, with `default` for everything else.
+    // `charsPerToken` is the model's average for English text; token counts
+    // are estimated from it rather than by running the tokenizer. Ollama
+    // serves models with a smaller window than they support, so set
+    // LOCAL_LLM_CONTEXT to the server's num_ctx.
+    models: {
+      gemini: { contextTokens: 1048576, charsPerToken: 4 },
+      'openRouter:qwen/qwen3-235b-a22b:free': { contextTokens: 40960, charsPerToken: 3.6 },
+      openRouter: { contextTokens: 32768, charsPerToken: 3.8 },
+      local: { contextTokens: Number(env.LOCAL_LLM_CONTEXT) || 8192, charsPerToken: 3.8 },
+      default: { contextTokens: 32768, charsPerToken: 4 },
+    },
+
+    // Long inputs (services/budgetService). Course text over `courseTextTokens`,
+    // or over what the metadata model can take, is split into chunks of
+    // `chunkTokens` and summarised chunk by chunk, then the summaries together,
+    // for at most `maxRounds` rounds. A SOP prompt that would not leave
+    // `replyTokens` (or the task's maxTokens) free in the SOP model's window
+    // gets a shorter resume, keeping what is most relevant to the course.
+    budget: {
+      courseTextTokens: 12000,
+      chunkTokens: 4000,
+      maxRounds: 3,
+      replyTokens: 4096,
+    },
+
+    // Local web dashboard (the "serve" command, --port to override).
+    dashboard: {
+      host: '127.0.0.1',
+      port: 4321,
+    },
+
+    // Document template used when a row's documentType column is empty.
+    // See templates/ for the available names.
+    defaultTemplate: 'masters-sop',
+    // Templates for other degree levels (from the course metadata), used when
+    // neither the row nor --template names one.
+    degreeTemplates: {
+      "Bachelor's": 'bachelors-sop',
+      PhD: 'phd-research-statement',
+    },
+
+    // Column headers of the CSV used by the import/export commands
+    csvHeaders: [
+      { id: 'candidateName', title: 'candidateName' },
+      { id: 'resumeFile', title: 'resumeFile' },
+      { id: 'courseInput', title: 'courseInput' },
+      { id: 'documentType', title: 'documentType' },
+      { id: 'courseName', title: 'courseName' },
+      { id: 'universityName', title: 'universityName' },
+      { id: 'promptPath', title: 'promptPath' },
+      { id: 'sopPath', title: 'sopPath' }, // <-- NEW
+      { id: 'feedback', title: 'feedback' }, // Reviewer comments for the "revise" command
+      { id: 'profile', title: 'profile' }, // Credential profile for this row's LLM calls
+      // NOTE: The 'prompt' itself is too large for a clean CSV.
+      // We will store the path and generate the prompt on demand.
+    ],
+  };
+}
+
+const defaults = createConfig();
+Object.defineProperty(defaults, 'createConfig', { value: createConfig, configurable: true });
+
+// Resolves against the active library context's config, if any (utils/context).
+module.exports = context.scoped(defaults, 'config');
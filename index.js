@@ -1,90 +1,112 @@
 // index.js
-const logger = require('./utils/logger');
-const fileUtils = require('./utils/fileUtils');
-const csvService = require('./services/csvService');
-const geminiService = require('./services/geminiService');
-const promptService = require('./services/promptService');
+// Library entry point, for tools that embed the pipeline instead of running the CLI.
+//
+//   const { createPipeline } = require('sop-prompt-generator');
+//   const pipeline = createPipeline({ workspace: '/tmp/sops', providers: { mine: { generate } } });
+//   const app = await pipeline.addApplication({ candidateName: 'A. Student', courseInput: 'https://...' });
+//   await pipeline.buildPrompt(app);
+//   const { sopPath, lint } = await pipeline.generateSop(app);
+//
+// Every call runs inside its own context (utils/context), so pipelines with
+// different settings can share a process. Failures are thrown, never turned
+// into an exit code, and the CSV file is only read or written by the CLI.
+const config = require('./config');
+const context = require('./utils/context');
+const store = require('./services/applicationStore');
+const artifactService = require('./services/artifactService');
+const documentService = require('./services/documentService');
+const pipelineService = require('./services/pipelineService');
 
-async function processApplication(app) {
-  logger.info(`Processing application for: ${app.candidateName}`);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.getPrototypeOf(value) === Object.prototype;
 
-  // 1. Get Course Text
-  const isUrl = app.courseInput.startsWith('http');
-  const courseText = isUrl
-    ? await fileUtils.fetchCourseTextFromUrl(app.courseInput)
-    : app.courseInput;
-
-  if (!courseText) {
-    throw new Error('Could not retrieve course text.');
+// Objects are merged key by key; arrays and everything else replace the default.
+function deepMerge(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
   }
+  return merged;
+}
+
+// Options:
+//   workspace  Root for artifacts and caches (default: SOP_WORKSPACE or the package folder).
+//   env        Environment for API keys and provider defaults (default: process.env).
+//   config     Overrides deep-merged over the resulting config.js values.
+//   providers  Extra or replacement entries for config.providers: either a provider
+//              config ({ type, apiKey, model, ... }) or an object with
+//              generate({ messages, params, model }) -> { text, usage } that is called
+//              directly, with the model config.llm resolves for the task.
+//   storage    Where application records live: { load(), save(record) }.
+//              Defaults to memory; store.createMemoryStorage(records) seeds one.
+//   logger     { info, warn, error, success? } (default: the console logger).
+function createPipeline(options = {}) {
+  const base = config.createConfig({ env: options.env, workspace: options.workspace });
+  const pipelineConfig = deepMerge(base, options.config);
+  pipelineConfig.providers = { ...pipelineConfig.providers, ...options.providers };
 
-  // 2. Extract Metadata from Gemini
-  const metadata = await geminiService.extractMetadataAndInfo(courseText);
+  const ctx = {
+    config: pipelineConfig,
+    logger: options.logger,
+    storage: options.storage || store.createMemoryStorage(),
+  };
+  const within = (fn) => (...args) => context.run(ctx, () => fn(...args));
 
-  // 3. Read Resume
-  const resumeContent = await fileUtils.readResumeContent(app.resumeFile);
-  if (app.resumeFile && !resumeContent) {
-    logger.warn(`Could not read resume for ${app.candidateName}, proceeding without it.`);
+  // Records handed out by the pipeline are updated in place as stages run, so
+  // callers can keep using the object they got from addApplication().
+  async function findRecord(appOrId) {
+    if (appOrId && typeof appOrId === 'object' && appOrId.stages) return appOrId;
+    const id = typeof appOrId === 'string' ? appOrId : appOrId && appOrId.id;
+    const record = (await store.load()).find(candidate => candidate.id === id);
+    if (!record) throw new Error(`No application with id "${id}".`);
+    return record;
   }
 
-  // 4. Build the SOP Prompt
-  const sopPrompt = promptService.buildSOPPrompt(metadata, resumeContent);
+  return {
+    config: pipelineConfig,
 
-  // 5. Save the prompt to a file
-  const sanitizedCourse = fileUtils.sanitizeFileName(metadata.course);
-  const sanitizedUni = fileUtils.sanitizeFileName(metadata.university);
-  const fileName = `${sanitizedCourse}_${sanitizedUni}_prompt.txt`;
-  const savedPath = fileUtils.savePromptToFile(sopPrompt, fileName);
-  logger.success(`Prompt saved to: ${savedPath}`);
+    // Fields as in the CSV: candidateName, courseInput, resumeFile, documentType, feedback.
+    addApplication: within(async (fields) => {
+      if (!fields || !fields.candidateName || !fields.courseInput) {
+        throw new Error('An application needs a candidateName and a courseInput.');
+      }
+      return store.add(fields);
+    }),
 
-  // 6. Return data to update the CSV
-  return {
-    courseName: metadata.course,
-    universityName: metadata.university,
-    promptPath: savedPath,
-  };
-}
+    listApplications: within(() => store.load()),
 
+    // Each stage takes the same options as the CLI (metadataOverrides,
+    // sopOverrides, drafts, formats, output, ...).
+    buildPrompt: within(async (app, stageOptions = {}) => pipelineService.runPromptStage(await findRecord(app), stageOptions)),
 
-async function main() {
-  logger.info('--- Starting SOP Prompt Generation Process ---');
-  let applications = await csvService.readApplications();
+    generateSop: within(async (app, stageOptions = {}) => pipelineService.runSopStage(await findRecord(app), stageOptions)),
 
-  if (applications.length === 0) {
-    logger.warn('The applications.csv file is empty. Please add applications to process.');
-    logger.info('CSV format: candidateName,resumeFile,courseInput');
-    return;
-  }
+    reviseSop: within(async (app, feedback, stageOptions = {}) => {
+      if (!feedback || !feedback.trim()) throw new Error('Revising a SOP needs feedback.');
+      return pipelineService.runReviseStage(await findRecord(app), feedback.trim(), stageOptions);
+    }),
 
-  let processedCount = 0;
-  for (const app of applications) {
-    // Skip if already processed
-    if (app.promptPath && app.promptPath.trim() !== '') {
-      continue;
-    }
+    // Returns the stored paths of the rendered documents.
+    exportSop: within(async (app, { formats = ['docx'], style, output } = {}) => {
+      const record = await findRecord(app);
+      if (!store.hasArtifact(record.stages.sop)) throw new Error('This application has no SOP yet.');
+      return documentService.exportSop(record, { formats, style, output });
+    }),
 
-    try {
-      const result = await processApplication(app);
-      // Update the application object in the array
-      app.courseName = result.courseName;
-      app.universityName = result.universityName;
-      app.promptPath = result.promptPath;
-      processedCount++;
-    } catch (error) {
-      logger.error(`Failed to process application for ${app.candidateName}. Skipping.`, error.message);
-      // Mark as failed to avoid retrying every time
-      app.promptPath = 'FAILED_PROCESSING';
-    }
-  }
-  
-  if (processedCount > 0) {
-    logger.info(`Processed ${processedCount} new application(s).`);
-    await csvService.writeApplications(applications);
-  } else {
-    logger.info('No new applications to process. All entries are up-to-date.');
-  }
+    // Prompt and SOP for one application; stops at the first failing stage.
+    run: within(async (app, stageOptions = {}) => {
+      const record = await findRecord(app);
+      if (record.stages.prompt.status !== 'done') await pipelineService.runPromptStage(record, stageOptions);
+      return pipelineService.runSopStage(record, stageOptions);
+    }),
 
-  logger.info('--- Process Complete ---');
+    // Text of the newest artifact of a kind ('prompt', 'sop', 'metadata', ...), or null.
+    readArtifact: within(async (app, kind) => artifactService.readLatest(await findRecord(app), kind)),
+  };
 }
 
-main().catch(err => logger.error('An unexpected fatal error occurred in the main process.', err));
\ No newline at end of file
+module.exports = {
+  createPipeline,
+  createConfig: config.createConfig,
+  createMemoryStorage: store.createMemoryStorage,
+};
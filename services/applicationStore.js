@@ -0,0 +1,274 @@
+// services/applicationStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const context = require('../utils/context');
+const { redact } = require('../utils/credentials');
+const csvService = require('./csvService');
+
+// Applications live in an append-only JSON-lines file (config.paths.store).
+// Every save appends the full record; on load the last line for each id wins,
+// so a crash mid-run can at worst lose the record being written. The file is
+// compacted when it grows to more than twice the number of records.
+// Library callers can inject other storage through utils/context: any
+// { load() -> records (or a promise of them), save(record) } with a
+// synchronous save, such as createMemoryStorage() below.
+//
+// Record shape:
+//   { id, candidateName, resumeFile, courseInput, documentType, courseName, universityName,
+//     feedback, profile, folder, stages: { prompt: Stage, sop: Stage }, createdAt, updatedAt }
+//   `feedback` holds reviewer comments for the `revise` command; `profile` names
+//   the credential profile for the record's LLM calls (empty: the run's default).
+//   Stage = { status: 'pending' | 'running' | 'done' | 'needs_review' | 'failed', path, error,
+//             code, retryable, attempts, issues, startedAt, completedAt, approvedAt, approvedSha256, updatedAt }
+//   'needs_review' is a finished stage whose artifact failed the quality checks
+//   (`issues` lists them); it is not regenerated automatically.
+//   `approvedSha256` is the hash of the artifact a reviewer approved, so a
+//   re-check can tell whether it changed since.
+
+const STAGES = ['prompt', 'sop'];
+const INPUT_FIELDS = ['candidateName', 'resumeFile', 'courseInput', 'documentType', 'courseName', 'universityName', 'feedback', 'profile'];
+
+const now = () => new Date().toISOString();
+
+function newStage() {
+  return { status: 'pending', path: '', error: null, code: null, retryable: false, attempts: 0, issues: [], startedAt: null, completedAt: null, approvedAt: null, approvedSha256: null, updatedAt: null };
+}
+
+function createRecord(fields) {
+  const timestamp = now();
+  const record = { id: crypto.randomUUID().slice(0, 8), createdAt: timestamp, updatedAt: timestamp, stages: {} };
+  INPUT_FIELDS.forEach((field) => { record[field] = (fields[field] || '').toString(); });
+  STAGES.forEach((stage) => { record.stages[stage] = newStage(); });
+  return record;
+}
+
+function writeAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, content, 'utf8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+const injectedStorage = () => context.current()?.storage;
+
+function save(record) {
+  record.updatedAt = now();
+  const storage = injectedStorage();
+  if (storage) {
+    storage.save(record);
+    return;
+  }
+  fs.mkdirSync(path.dirname(config.paths.store), { recursive: true });
+  fs.appendFileSync(config.paths.store, `${JSON.stringify(record)}\n`, 'utf8');
+}
+
+// Keeps records in memory, as copies, so callers see the same save semantics as the file.
+function createMemoryStorage(records = []) {
+  const copy = (record) => JSON.parse(JSON.stringify(record));
+  const byId = new Map(records.map(record => [record.id, copy(record)]));
+  return {
+    load: () => [...byId.values()].map(copy),
+    save: (record) => { byId.set(record.id, copy(record)); },
+  };
+}
+
+function compact(records) {
+  writeAtomic(config.paths.store, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+function readStore() {
+  const records = new Map();
+  let lineCount = 0;
+  const lines = fs.readFileSync(config.paths.store, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    lineCount++;
+    try {
+      const record = JSON.parse(line);
+      records.set(record.id, record);
+    } catch (error) {
+      // Only the last line can be half-written by an interrupted append.
+      logger.warn(`Ignoring unreadable line ${i + 1} in ${config.paths.store}.`);
+    }
+  });
+  return { records: [...records.values()], lineCount };
+}
+
+// Loads every application in creation order. A stage still marked "running"
+// was interrupted by a previous run and goes back to pending. On first use the
+// file store is migrated from the legacy CSV file.
+async function load() {
+  const storage = injectedStorage();
+  if (storage) return resumeInterrupted(await storage.load());
+
+  if (!fs.existsSync(config.paths.store)) {
+    if (!fs.existsSync(config.paths.csvFile)) return [];
+    const { added } = importRows(await csvService.readApplications(), []);
+    logger.success(`Migrated ${added} application(s) from ${config.paths.csvFile} to ${config.paths.store}.`);
+  }
+
+  const { records, lineCount } = readStore();
+  resumeInterrupted(records);
+  if (lineCount > records.length * 2) compact(records);
+  return records;
+}
+
+function resumeInterrupted(records) {
+  for (const record of records) {
+    for (const stage of STAGES) {
+      if (record.stages[stage].status === 'running') {
+        Object.assign(record.stages[stage], { status: 'pending', error: 'Interrupted during a previous run.' });
+      }
+    }
+  }
+  return records;
+}
+
+function add(fields) {
+  const record = createRecord(fields);
+  save(record);
+  return record;
+}
+
+// --- Stage transitions (each one is persisted immediately) ---
+
+function startStage(record, stage) {
+  const timestamp = now();
+  Object.assign(record.stages[stage], {
+    status: 'running', error: null, code: null, retryable: false, startedAt: timestamp, updatedAt: timestamp,
+  });
+  record.stages[stage].attempts++;
+  save(record);
+}
+
+function completeStage(record, stage, artifactPath) {
+  const timestamp = now();
+  Object.assign(record.stages[stage], {
+    status: 'done', path: artifactPath, error: null, code: null, retryable: false, issues: [], completedAt: timestamp, approvedAt: null, approvedSha256: null, updatedAt: timestamp,
+  });
+  save(record);
+}
+
+// A reviewer signed the artifact off (in the dashboard); clears any lint issues.
+// `sha256` is the hash of the approved content.
+function approveStage(record, stage, artifactPath, sha256 = null) {
+  completeStage(record, stage, artifactPath);
+  record.stages[stage].approvedAt = record.stages[stage].updatedAt;
+  record.stages[stage].approvedSha256 = sha256;
+  save(record);
+}
+
+// Like completeStage, for an artifact that was written but failed its checks.
+function flagStage(record, stage, artifactPath, issues) {
+  const timestamp = now();
+  Object.assign(record.stages[stage], {
+    status: 'needs_review', path: artifactPath, error: null, code: null, retryable: false, issues, completedAt: timestamp, approvedAt: null, approvedSha256: null, updatedAt: timestamp,
+  });
+  save(record);
+}
+
+const hasArtifact = (stage) => stage.status === 'done' || stage.status === 'needs_review';
+
+// `retryable` failures are picked up again by the next run; others wait for `retry`.
+// `code` is the legacy CSV marker written on export (e.g. FAILED_MISSING_PROMPT).
+function failStage(record, stage, error, { retryable = false, code = 'FAILED_PROCESSING' } = {}) {
+  Object.assign(record.stages[stage], {
+    // Provider errors may quote the request, key included.
+    status: 'failed', error: redact(error.message || String(error)), code, retryable, updatedAt: now(),
+  });
+  save(record);
+}
+
+function resetStage(record, stage) {
+  const { attempts } = record.stages[stage];
+  record.stages[stage] = { ...newStage(), attempts, updatedAt: now() };
+  save(record);
+}
+
+// --- Legacy CSV import/export ---
+
+function stageFromCsv(value) {
+  const cell = (value || '').trim();
+  if (!cell) return { status: 'pending', path: '' };
+  if (cell.startsWith('FAILED')) return { status: 'failed', path: '', code: cell, error: `Imported from CSV as ${cell}.` };
+  return { status: 'done', path: cell };
+}
+
+function stageToCsv(stage) {
+  if (hasArtifact(stage)) return stage.path;
+  // Retryable failures were left blank in the CSV so the next run picked them up.
+  if (stage.status === 'failed' && !stage.retryable) return stage.code || 'FAILED_PROCESSING';
+  return '';
+}
+
+const identity = (fields) => `${(fields.candidateName || '').trim()}\u0000${(fields.courseInput || '').trim()}`;
+
+// Merges CSV rows into `records`: rows matching an existing record (same
+// candidate and course input) update it, others are added. Blank rows are
+// skipped. A stage is only overwritten when the CSV says something different,
+// so attempt counts and errors survive a round trip.
+function importRows(rows, records) {
+  const byIdentity = new Map(records.map(record => [identity(record), record]));
+  const result = { added: 0, updated: 0, skipped: 0 };
+
+  for (const row of rows) {
+    if (!(row.candidateName || '').trim() && !(row.courseInput || '').trim()) {
+      result.skipped++;
+      continue;
+    }
+
+    let record = byIdentity.get(identity(row));
+    const isNew = !record;
+    if (isNew) {
+      record = createRecord(row);
+      byIdentity.set(identity(row), record);
+    } else {
+      INPUT_FIELDS.forEach((field) => { if (row[field] !== undefined) record[field] = row[field]; });
+    }
+
+    const csvStages = { prompt: stageFromCsv(row.promptPath), sop: stageFromCsv(row.sopPath) };
+    for (const stage of STAGES) {
+      const current = record.stages[stage];
+      const incoming = csvStages[stage];
+      // The CSV has no review marker: a flagged SOP comes back as a plain path.
+      const sameStatus = current.status === incoming.status || (current.status === 'needs_review' && incoming.status === 'done');
+      const unchanged = sameStatus && current.path === incoming.path;
+      const retryPending = current.status === 'failed' && current.retryable && incoming.status === 'pending';
+      if (!unchanged && !retryPending) {
+        Object.assign(current, newStage(), { attempts: current.attempts }, incoming, { updatedAt: now() });
+      }
+    }
+
+    save(record);
+    if (isNew) result.added++;
+    else result.updated++;
+  }
+  return result;
+}
+
+function toCsvRows(records) {
+  return records.map(record => ({
+    ...Object.fromEntries(INPUT_FIELDS.map(field => [field, record[field]])),
+    promptPath: stageToCsv(record.stages.prompt),
+    sopPath: stageToCsv(record.stages.sop),
+  }));
+}
+
+module.exports = {
+  STAGES,
+  createMemoryStorage,
+  load,
+  add,
+  save,
+  startStage,
+  completeStage,
+  flagStage,
+  approveStage,
+  hasArtifact,
+  failStage,
+  resetStage,
+  importRows,
+  toCsvRows,
+};
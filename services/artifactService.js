@@ -0,0 +1,91 @@
+// services/artifactService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const fileUtils = require('../utils/fileUtils');
+const workspace = require('../utils/workspace');
+
+// Every application gets its own folder:
+//   applications/<candidate>/<application id>/
+//     metadata.v1.json  resume-profile.v1.json  prompt.v1.txt  sop.v1.txt  sop.v2.txt ...
+//     manifest.json
+// Generated text is never overwritten: each write adds the next version of its kind,
+// and manifest.json records when and how (provider, model, params, inputs)
+// every version was produced.
+
+const MANIFEST = 'manifest.json';
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Resolves (and on first use assigns) the application's folder. The folder is
+// kept on the record so renaming the candidate later doesn't orphan old files;
+// the caller persists the record.
+function applicationDir(app) {
+  if (!app.folder) {
+    const candidate = fileUtils.sanitizeFileName((app.candidateName || '').trim() || 'unnamed');
+    app.folder = workspace.toStoredPath(path.join(config.paths.applications, candidate, app.id));
+  }
+  return workspace.resolveStoredPath(app.folder);
+}
+
+function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST);
+  if (!fs.existsSync(manifestPath)) return { applicationId: null, candidateName: null, artifacts: [] };
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+function writeManifest(dir, manifest) {
+  const manifestPath = path.join(dir, MANIFEST);
+  fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
+
+function latest(app, kind) {
+  const versions = readManifest(applicationDir(app)).artifacts.filter(a => a.kind === kind);
+  return versions[versions.length - 1] || null;
+}
+
+// Contents of the latest version of `kind`, or null if there is none.
+function readLatest(app, kind) {
+  const entry = latest(app, kind);
+  if (!entry) return null;
+  const filePath = path.join(applicationDir(app), entry.file);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+// Saves `content` as the next version of `kind` and returns
+// { filePath, storedPath, version, file }. If the content is identical to the
+// latest version of that kind, that version is returned instead of a duplicate
+// (unless `dedupe` is false). `file` replaces the default "<kind>.v<n>.<ext>"
+// name; renderings named after their source (sop.v2.pdf) are replaced when the
+// source is rendered again. `content` may be a string, a Buffer or JSON data.
+function writeArtifact(app, kind, content, { ext = 'txt', file, dedupe = true, meta = {} } = {}) {
+  const dir = applicationDir(app);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const data = typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content, null, 2);
+  const hash = sha256(data);
+  const manifest = readManifest(dir);
+  const previous = manifest.artifacts.filter(a => a.kind === kind);
+  const last = previous[previous.length - 1];
+
+  let entry = dedupe && last && last.sha256 === hash ? last : null;
+  if (!entry) {
+    // A named file written again (a re-export) replaces its entry and keeps its version.
+    const replaced = file ? previous.find(a => a.file === file) : null;
+    const version = replaced ? replaced.version : previous.length > 0 ? last.version + 1 : 1;
+    entry = { kind, version, file: file || `${kind}.v${version}.${ext}`, createdAt: new Date().toISOString(), sha256: hash, ...meta };
+    fs.writeFileSync(path.join(dir, entry.file), data);
+    manifest.applicationId = app.id;
+    manifest.candidateName = app.candidateName;
+    if (replaced) manifest.artifacts[manifest.artifacts.indexOf(replaced)] = entry;
+    else manifest.artifacts.push(entry);
+    writeManifest(dir, manifest);
+  }
+
+  const filePath = path.join(dir, entry.file);
+  return { filePath, storedPath: workspace.toStoredPath(filePath), version: entry.version, file: entry.file };
+}
+
+module.exports = { applicationDir, readManifest, latest, readLatest, writeArtifact, sha256 };
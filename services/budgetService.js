@@ -0,0 +1,174 @@
+// services/budgetService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const runLog = require('../utils/runLog');
+const llmService = require('./llmService');
+const resumeService = require('./resumeService');
+
+// Keeps inputs within what the model of a task can take. Token counts are
+// estimates from config.models (characters per token), so every budget leaves
+// the task's reply room (params.maxTokens, else config.budget.replyTokens).
+// Whatever is summarised, compressed or cut is logged and recorded in the run
+// report (utils/runLog).
+
+// Room for the instructions around the course text in the extraction prompt.
+const EXTRACTION_PROMPT_TOKENS = 1000;
+
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'this', 'that', 'your', 'their', 'into', 'about', 'course', 'programme', 'program',
+  'university', 'students', 'study', 'studies', 'master', 'masters', 'bachelor', 'degree', 'will', 'have', 'more', 'such',
+]);
+
+// { provider, model, contextTokens, charsPerToken, inputTokens } for a task.
+function limitsFor(task, overrides = {}) {
+  const { provider, model } = llmService.resolveModel(task, overrides);
+  const limits = config.models[`${provider}:${model}`] || config.models[provider] || config.models.default;
+  const params = { ...config.llm[task]?.params, ...overrides.params };
+  const replyTokens = params.maxTokens || config.budget.replyTokens;
+  return { provider, model, ...limits, inputTokens: Math.max(0, limits.contextTokens - replyTokens) };
+}
+
+function estimateTokens(text, limits) {
+  return Math.ceil(String(text || '').length / (limits.charsPerToken || 4));
+}
+
+function record(adjustment) {
+  runLog.recordAdjustment(adjustment);
+  const { action, input, subject, fromTokens, toTokens, detail } = adjustment;
+  logger.info(`${action[0].toUpperCase()}${action.slice(1)} the ${input}${subject ? ` for ${subject}` : ''}: `
+    + `~${fromTokens} -> ~${toTokens} tokens${detail ? ` (${detail})` : ''}.`);
+}
+
+// Splits text into pieces of at most maxChars, at paragraph breaks, then line
+// breaks, then anywhere.
+function splitIntoChunks(text, maxChars) {
+  const chunks = [];
+  let current = '';
+  const push = (piece) => {
+    if (current && current.length + piece.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  };
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (paragraph.length <= maxChars) {
+      push(paragraph);
+      continue;
+    }
+    for (const line of paragraph.split('\n')) {
+      for (let start = 0; start < line.length; start += maxChars) push(line.slice(start, start + maxChars));
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function buildSummaryPrompt(chunk, index, total, round) {
+  const source = round === 1
+    ? `part ${index} of ${total} of a university course website or module handbook`
+    : `part ${index} of ${total} of notes taken from a university course website`;
+  return `
+    The text below is ${source}.
+    Write compact notes of everything in it that describes the programme: its name, degree, university and country;
+    its focus, structure and modules (with their topics); research groups and labs; admission requirements; the rules for
+    the statement of purpose or motivation letter (length limits, questions to answer, format); language of instruction,
+    duration, intakes and fees.
+    Keep names, numbers and limits exactly as written. Leave out navigation, news, contact details and anything unrelated.
+    Reply with the notes only, or with "-" if the text contains nothing relevant.
+
+    Text:
+    ---
+    ${chunk}
+    ---
+  `;
+}
+
+// Course text for metadata extraction, within config.budget.courseTextTokens and
+// the metadata model's window. Longer text is summarised chunk by chunk (map),
+// and the joined notes again while they are too long (reduce), for at most
+// config.budget.maxRounds rounds; what is still too long after that is cut.
+async function fitCourseText(courseText, { overrides = {}, subject } = {}) {
+  const limits = limitsFor('metadata', overrides);
+  // A window too small for any course text still gets a minimal budget; the model may then cut its reply.
+  const budget = Math.max(EXTRACTION_PROMPT_TOKENS, Math.min(config.budget.courseTextTokens, limits.inputTokens - EXTRACTION_PROMPT_TOKENS));
+  const original = estimateTokens(courseText, limits);
+  if (original <= budget) return courseText;
+
+  const chunkChars = Math.floor(Math.min(config.budget.chunkTokens, budget) * limits.charsPerToken);
+  let text = courseText;
+  let calls = 0;
+  let round = 0;
+  while (estimateTokens(text, limits) > budget && round < config.budget.maxRounds) {
+    round++;
+    const chunks = splitIntoChunks(text, chunkChars);
+    logger.info(`Course text${subject ? ` for ${subject}` : ''} is ~${estimateTokens(text, limits)} tokens; summarising ${chunks.length} chunk(s) (round ${round}).`);
+    const notes = await Promise.all(chunks.map(async (chunk, i) => {
+      const prompt = buildSummaryPrompt(chunk, i + 1, chunks.length, round);
+      const result = await llmService.complete('metadata', [{ role: 'user', content: prompt }], overrides);
+      return result.text.trim();
+    }));
+    calls += chunks.length;
+    text = notes.filter(note => note && note !== '-').join('\n\n');
+  }
+  record({
+    input: 'course text',
+    action: 'summarised',
+    subject,
+    fromTokens: original,
+    toTokens: estimateTokens(text, limits),
+    detail: `${calls} summary call(s) in ${round} round(s) for ${limits.provider} ${limits.model}`,
+  });
+
+  if (estimateTokens(text, limits) > budget) {
+    const cut = text.slice(0, Math.floor(budget * limits.charsPerToken));
+    record({
+      input: 'course text summary',
+      action: 'truncated',
+      subject,
+      fromTokens: estimateTokens(text, limits),
+      toTokens: estimateTokens(cut, limits),
+      detail: `still over ${budget} tokens after ${round} round(s)`,
+    });
+    text = cut;
+  }
+  return text;
+}
+
+// Lower-case words of the course name, modules, research groups and summary,
+// for ranking resume entries by relevance.
+function courseKeywords(metadata = {}) {
+  const text = [metadata.course, metadata.courseInfo, ...(metadata.keyModules || []), ...(metadata.researchGroups || [])].join(' ');
+  const found = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(found.filter(word => word.length > 3 && !STOP_WORDS.has(word)));
+}
+
+// The SOP prompt from render(candidate), with the resume compressed to its parts
+// most relevant to the course when the whole prompt would not fit the SOP
+// model's window. Returns { prompt, candidate }.
+function fitPrompt(render, candidate, { metadata, overrides = {}, subject } = {}) {
+  const limits = limitsFor('sop', overrides);
+  const prompt = render(candidate);
+  const original = estimateTokens(prompt, limits);
+  if (original <= limits.inputTokens || !candidate) return { prompt, candidate };
+
+  const fits = (shorter) => estimateTokens(render(shorter), limits) <= limits.inputTokens;
+  const compressed = resumeService.compressCandidate(candidate, { keywords: courseKeywords(metadata), fits });
+  const fitted = render(compressed.candidate);
+  const tokens = estimateTokens(fitted, limits);
+  record({
+    input: 'resume',
+    action: 'compressed',
+    subject,
+    fromTokens: original,
+    toTokens: tokens,
+    detail: `left out ${compressed.removed.join(', ') || 'nothing'} to fit ${limits.provider} ${limits.model} (${limits.contextTokens} tokens)`,
+  });
+  if (tokens > limits.inputTokens) {
+    logger.warn(`The prompt${subject ? ` for ${subject}` : ''} is still ~${tokens} tokens, more than the ~${limits.inputTokens} `
+      + `${limits.provider} ${limits.model} can take with room for the reply; its output may be cut short.`);
+  }
+  return { prompt: fitted, candidate: compressed.candidate };
+}
+
+module.exports = { limitsFor, estimateTokens, splitIntoChunks, fitCourseText, fitPrompt };
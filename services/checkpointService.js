@@ -0,0 +1,83 @@
+// services/checkpointService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const workspace = require('../utils/workspace');
+const artifactService = require('./artifactService');
+
+// Partial output of a streamed generation, saved in the application's folder
+// while it arrives:
+//   sop.partial.txt    the text so far, to read while it is written
+//   sop.partial.json   { promptSha256, provider, model, words, updatedAt }
+// A generation that fails or is interrupted leaves both behind; the next one
+// for the same prompt continues from the text (services/sopService), and a
+// finished one removes them. They are not versioned artifacts.
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Checkpoints with text not yet written, for flushAll().
+const unsaved = new Set();
+
+// `name` tells drafts apart ("sop", "sop-draft-2"). Returns
+// { filePath, storedPath, saved(), update(text, meta), flush(), clear() }.
+function createCheckpoint(app, name, promptText) {
+  const dir = artifactService.applicationDir(app);
+  const filePath = path.join(dir, `${name}.partial.txt`);
+  const metaPath = path.join(dir, `${name}.partial.json`);
+  const promptSha256 = sha256(promptText);
+  let pending = null;
+  let lastWrite = 0;
+
+  function write() {
+    if (!pending) return;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, pending.text, 'utf8');
+    fs.writeFileSync(metaPath, JSON.stringify({
+      promptSha256,
+      ...pending.meta,
+      words: countWords(pending.text),
+      updatedAt: new Date().toISOString(),
+    }, null, 2), 'utf8');
+    pending = null;
+    lastWrite = Date.now();
+    unsaved.delete(checkpoint);
+  }
+
+  const checkpoint = {
+    filePath,
+    storedPath: workspace.toStoredPath(filePath),
+
+    // The saved text and its meta, or null if there is none for this prompt.
+    saved() {
+      if (!fs.existsSync(filePath) || !fs.existsSync(metaPath)) return null;
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      const text = fs.readFileSync(filePath, 'utf8');
+      return meta.promptSha256 === promptSha256 && text.trim() ? { text, meta } : null;
+    },
+
+    // Records the text so far; written at most every config.streaming.checkpointMs.
+    update(text, meta = {}) {
+      pending = { text, meta };
+      unsaved.add(checkpoint);
+      if (Date.now() - lastWrite >= config.streaming.checkpointMs) write();
+    },
+
+    flush: write,
+
+    clear() {
+      pending = null;
+      unsaved.delete(checkpoint);
+      [filePath, metaPath].forEach(file => fs.rmSync(file, { force: true }));
+    },
+  };
+  return checkpoint;
+}
+
+// Writes every checkpoint's latest text, e.g. when the CLI is interrupted.
+function flushAll() {
+  [...unsaved].forEach(checkpoint => checkpoint.flush());
+}
+
+module.exports = { createCheckpoint, flushAll };
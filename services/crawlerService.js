@@ -0,0 +1,124 @@
+// services/crawlerService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const fileUtils = require('../utils/fileUtils');
+const htmlExtractor = require('../utils/htmlExtractor');
+const robots = require('../utils/robots');
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|pptx?|mp4|mp3|ics)$/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sameSite = (a, b) => a.hostname.replace(/^www\./, '') === b.hostname.replace(/^www\./, '');
+
+// Keeps one request per host in flight and spaces them by the configured delay
+// or the host's Crawl-delay, whichever is longer.
+function createHostThrottle(delayMs) {
+  const lastRequest = new Map();
+  return async function throttle(host, crawlDelaySeconds) {
+    const delay = Math.max(delayMs, (crawlDelaySeconds || 0) * 1000);
+    const wait = (lastRequest.get(host) || 0) + delay - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequest.set(host, Date.now());
+  };
+}
+
+function matchesKeywords(link, keywords) {
+  const { pathname } = new URL(link.url);
+  let decoded = pathname;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    // A malformed escape such as "%zz" is matched as written.
+  }
+  const haystack = `${decoded} ${link.text}`.toLowerCase();
+  return keywords.some(keyword => haystack.includes(keyword.toLowerCase()));
+}
+
+// Drops paragraphs that were already seen on an earlier page (shared intros,
+// contact boxes, repeated admission blurbs).
+function mergePages(pages) {
+  const seen = new Set();
+  return pages
+    .map((page) => {
+      const blocks = page.text.split(/\n{2,}/).filter((block) => {
+        const key = block.replace(/\s+/g, ' ').trim().toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      return blocks.length ? `=== Page: ${page.url} ===\n\n${blocks.join('\n\n')}` : null;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Fetches the programme page plus same-site sub-pages whose URL or link text
+// mentions one of the keywords, breadth first, up to `maxDepth` link hops and
+// `maxPages` pages in total. Returns the merged, de-duplicated text.
+async function crawlCourse(startUrl, options = {}) {
+  const { maxDepth, maxPages, keywords, delayMs, userAgent, timeoutMs } = { ...config.crawl, ...options };
+  const headers = { 'User-Agent': userAgent };
+  const throttle = createHostThrottle(delayMs);
+  const robotsByOrigin = new Map();
+  const start = new URL(startUrl);
+
+  const queue = [{ url: start.href, depth: 0 }];
+  const visited = new Set([start.href]);
+  const pages = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    const target = new URL(url);
+
+    if (!robotsByOrigin.has(target.origin)) {
+      robotsByOrigin.set(target.origin, await robots.fetchRobots(target.origin, userAgent, timeoutMs));
+    }
+    const siteRules = robotsByOrigin.get(target.origin);
+    // The start page was asked for explicitly; only discovered links are subject to robots.txt.
+    if (depth > 0 && !robots.isAllowed(siteRules, target.pathname + target.search)) {
+      logger.info(`Skipping ${url} (disallowed by robots.txt).`);
+      continue;
+    }
+
+    let page;
+    try {
+      // Pages served from the cache skip the throttle.
+      page = await fileUtils.fetchPage(url, headers, {
+        beforeRequest: () => throttle(target.host, siteRules.crawlDelay),
+        timeoutMs,
+      });
+    } catch (error) {
+      if (depth === 0) throw error;
+      logger.warn(`Could not fetch sub-page ${url}: ${error.message}`);
+      continue;
+    }
+
+    if (!page.isHtml) {
+      // Handbooks served as PDF or Word without an extension would only add binary noise.
+      if (!fileUtils.isPlainText(page)) {
+        if (depth === 0) throw new Error(`${url} is ${page.contentType}, not a web page or plain text.`);
+        logger.warn(`Skipping sub-page ${url} (${page.contentType}).`);
+        continue;
+      }
+      pages.push({ url, text: page.body.trim() });
+      continue;
+    }
+    pages.push({ url, text: htmlExtractor.extractMainText(page.body) });
+    logger.info(`Crawled (${pages.length}/${maxPages}, depth ${depth}): ${url}`);
+
+    if (depth >= maxDepth) continue;
+    for (const link of htmlExtractor.extractLinks(page.body, page.url)) {
+      const linkUrl = new URL(link.url);
+      if (visited.has(linkUrl.href) || !sameSite(linkUrl, start) || SKIPPED_EXTENSIONS.test(linkUrl.pathname)) continue;
+      if (!matchesKeywords(link, keywords)) continue;
+      visited.add(linkUrl.href);
+      queue.push({ url: linkUrl.href, depth: depth + 1 });
+    }
+  }
+
+  logger.info(`Crawl finished: ${pages.length} page(s) from ${start.host}.`);
+  return mergePages(pages);
+}
+
+module.exports = { crawlCourse, mergePages };
@@ -5,17 +5,13 @@ const { createObjectCsvWriter } = require('csv-writer');
 const config = require('../config');
 const logger = require('../utils/logger');
 
-async function readApplications() {
-  const { csvFile, data } = config.paths;
+// The CSV is the spreadsheet-facing import/export format; the pipeline itself
+// works on services/applicationStore.
+async function readApplications(csvFile = config.paths.csvFile) {
   const results = [];
 
-  if (!fs.existsSync(data)) fs.mkdirSync(data, { recursive: true });
-
   if (!fs.existsSync(csvFile)) {
-    logger.warn(`CSV file not found at ${csvFile}. Creating it with headers.`);
-    const writer = createObjectCsvWriter({ path: csvFile, header: config.csvHeaders });
-    await writer.writeRecords([]); // Writes only the header
-    return [];
+    throw new Error(`CSV file not found at ${csvFile}.`);
   }
 
   return new Promise((resolve, reject) => {
@@ -30,13 +26,20 @@ async function readApplications() {
   });
 }
 
-async function writeApplications(data) {
-  const writer = createObjectCsvWriter({
-    path: config.paths.csvFile,
-    header: config.csvHeaders,
-  });
-  await writer.writeRecords(data);
-  logger.success(`CSV file updated successfully at: ${config.paths.csvFile}`);
+// Writes are queued so they never interleave, and each one goes to a temp file
+// first so an interrupted run leaves the old CSV intact.
+let writeQueue = Promise.resolve();
+
+function writeApplications(data, { csvFile = config.paths.csvFile } = {}) {
+  const write = async () => {
+    const tmpFile = `${csvFile}.tmp`;
+    const writer = createObjectCsvWriter({ path: tmpFile, header: config.csvHeaders });
+    await writer.writeRecords(data);
+    fs.renameSync(tmpFile, csvFile);
+    logger.success(`CSV file updated successfully at: ${csvFile}`);
+  };
+  writeQueue = writeQueue.then(write, write);
+  return writeQueue;
 }
 
 module.exports = { readApplications, writeApplications };
\ No newline at end of file
@@ -0,0 +1,86 @@
+// services/degreeService.js
+
+// Course pages name programmes in many ways: "M.Sc. Infection Biology",
+// "Organismic and Molecular Biodiversity (Master)", "Master of Science in
+// Data Science", "BSc (Hons) Computing". The prompt needs the bare subject and
+// the degree level separately, so it can say "the M.Sc. in Infection Biology"
+// instead of "the Master's in Organismic and Molecular Biodiversity (Master)".
+
+const LEVEL_PATTERNS = [
+  // "Promotion" alone is also a subject ("Health Promotion"); only the German compounds name a doctorate.
+  ['PhD', /\b(ph\.?\s?d|d\.?\s?phil|doctor(ate|al)?( of philosophy)?|promotions(studium|programm|kolleg))\b/i],
+  ["Master's", /\b(masters?|master's|m\.?\s?sc|m\.?\s?a|m\.?\s?eng|m\.?\s?res|m\.?\s?phil|mba|ll\.?\s?m|m\.?\s?ed|m\.?\s?tech)\b\.?/i],
+  // Upper case only, so the title "Ms." is not taken for an M.S.
+  ["Master's", /\bM\.?\s?S\b\.?/],
+  ["Bachelor's", /\b(bachelors?|bachelor's|b\.?\s?sc|b\.?\s?a|b\.?\s?eng|b\.?\s?tech|b\.?\s?com|b\.?\s?s|undergraduate)\b\.?/i],
+  ['Diploma', /\b(diploma|pg\s?dip|pgdip)\b/i],
+  ['Certificate', /\b(certificate|pg\s?cert)\b/i],
+];
+
+// Degree words at the start or end of a course name, with "of Science/Arts"
+// and "in"/"(Hons)" around them.
+const DEGREE_WORDS = String.raw`(?:ph\.?\s?d|d\.?\s?phil|doctor(?:ate)?(?: of philosophy)?|masters?|master's|bachelors?|bachelor's|(?:post\s?graduate |pg |graduate )?(?:diploma|certificate)|[mb]\.?\s?(?:sc|a|eng|res|phil|tech|ed|com|s)\.?|mba|ll\.?\s?m\.?)`;
+const LEADING_DEGREE = new RegExp(String.raw`^\s*${DEGREE_WORDS}(?:\s+of\s+(?:science|arts|engineering|research|philosophy|education|business administration|laws|technology|commerce))?(?:\s*\([^)]*\))?(?:\s*\(hons\))?\s*(?:degree\s+)?(?:programme\s+|program\s+|course\s+)?(?:in|of|:|-|–)?\s+`, 'i');
+const WHOLE_DEGREE = new RegExp(String.raw`^\s*${DEGREE_WORDS}\s*$`, 'i');
+const TRAILING_DEGREE = new RegExp(String.raw`\s*(?:\(\s*${DEGREE_WORDS}(?:\s+of\s+\w+(?:\s+\w+)?)?\s*\)|[,–-]\s*${DEGREE_WORDS}(?:\s+of\s+\w+(?:\s+\w+)?)?)\s*$`, 'i');
+
+// "Master's" from any spelling of a level, or null when the text names none.
+function inferDegreeType(...texts) {
+  for (const text of texts) {
+    if (!text) continue;
+    const match = LEVEL_PATTERNS.find(([, pattern]) => pattern.test(text));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+// Splits "M.Sc. Infection Biology" into { course: 'Infection Biology', degree: 'M.Sc.' }.
+// A name that is nothing but a degree ("MBA") is both.
+function splitCourseName(name) {
+  const original = String(name || '').trim();
+  if (WHOLE_DEGREE.test(original)) return { course: original, degree: original };
+  let course = original;
+  let degree = '';
+
+  const leading = course.match(LEADING_DEGREE);
+  if (leading) {
+    degree = leading[0].trim().replace(/\s+(?:in|of)$|\s*[:–-]$/i, '').trim();
+    course = course.slice(leading[0].length);
+  }
+  const trailing = course.match(TRAILING_DEGREE);
+  if (trailing) {
+    degree = degree || trailing[0].replace(/^[\s,–-]*\(?|\)?\s*$/g, '').trim();
+    course = course.slice(0, trailing.index);
+  }
+
+  course = course.trim();
+  return course ? { course, degree } : { course: original, degree: '' };
+}
+
+// How the prompt names the programme: "the M.Sc. in Infection Biology",
+// "the Bachelor's programme in Computing", "doctoral studies (PhD) in Physics".
+function programmePhrase(course, { degree, degreeType } = {}) {
+  if (degree && degree === course) return `the ${course} programme`;
+  // Abbreviations read naturally ("the M.Sc. in"); long forms are replaced by the level.
+  if (degree && /^(?:[A-Z][a-z]?\.?\s?){1,4}$/.test(degree)) return `the ${degree} in ${course}`;
+  switch (degreeType) {
+    case "Master's": return `the Master's programme in ${course}`;
+    case "Bachelor's": return `the Bachelor's programme in ${course}`;
+    case 'PhD': return `doctoral studies (PhD) in ${course}`;
+    case 'Diploma': return `the Diploma programme in ${course}`;
+    case 'Certificate': return `the Certificate programme in ${course}`;
+    default: return `the ${course} programme`;
+  }
+}
+
+// Degree details for the prompt from extracted metadata, also for metadata
+// saved before degreeType existed. Returns { course, degree, degreeType, programme }.
+function describeProgramme(metadata) {
+  const { course, degree: fromName } = splitCourseName(metadata.course);
+  const degree = (metadata.degree || fromName || '').trim();
+  const known = metadata.degreeType && metadata.degreeType !== 'Other' ? metadata.degreeType : null;
+  const degreeType = known || inferDegreeType(degree, metadata.course) || 'Other';
+  return { course, degree, degreeType, programme: programmePhrase(course, { degree, degreeType }) };
+}
+
+module.exports = { inferDegreeType, splitCourseName, programmePhrase, describeProgramme };
@@ -0,0 +1,114 @@
+// services/documentService.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const fileUtils = require('../utils/fileUtils');
+const workspace = require('../utils/workspace');
+const artifactService = require('./artifactService');
+const templateService = require('./templateService');
+const { getRenderer } = require('./exporters');
+
+// A style is a JSON file in config.paths.styles describing the uploadable
+// document: page size and margins (in points), font, paragraph layout, a
+// header with the candidate/programme/university/date, a footer with optional
+// page numbers, and whether to print the word count. Header and footer text may
+// use {{candidateName}}, {{course}}, {{university}}, {{country}}, {{date}},
+// {{title}} and {{wordCount}}. See styles/default.json.
+
+function listStyles() {
+  const dir = config.paths.styles;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// Styles only need to list what differs from the default style.
+function loadStyle(name = config.documents.style) {
+  const read = (styleName) => {
+    const stylePath = path.join(config.paths.styles, `${styleName}.json`);
+    if (!fs.existsSync(stylePath)) {
+      throw new Error(`Unknown document style "${styleName}". Available styles: ${listStyles().join(', ')}.`);
+    }
+    return JSON.parse(fs.readFileSync(stylePath, 'utf8'));
+  };
+  const base = read('default');
+  const style = name === 'default' ? base : read(name);
+  const merged = { ...base, ...style, name };
+  for (const key of ['page', 'font', 'paragraph', 'header', 'footer']) {
+    merged[key] = { ...base[key], ...style[key] };
+  }
+  return merged;
+}
+
+// Body paragraphs are separated by blank lines; single line breaks inside one are joined.
+function toParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function buildLayout(text, variables, style) {
+  const paragraphs = toParagraphs(text);
+  const wordCount = paragraphs.join(' ').split(/\s+/).filter(Boolean).length;
+  const vars = { ...variables, title: style.title || '', wordCount };
+  const fill = (value) => templateService.interpolate(value, vars, `style ${style.name}`).trim();
+
+  return {
+    style,
+    title: style.title ? fill(style.title) : '',
+    header: (style.header.lines || []).map(fill).filter(Boolean),
+    footer: fill(style.footer.text || ''),
+    paragraphs,
+    wordCountLine: style.wordCount ? `Word count: ${wordCount}` : '',
+  };
+}
+
+function headerVariables(app) {
+  const metadata = JSON.parse(artifactService.readLatest(app, 'metadata') || '{}');
+  return {
+    candidateName: app.candidateName,
+    course: app.courseName || metadata.course || '',
+    university: app.universityName || metadata.university || '',
+    country: metadata.country || '',
+    date: new Date().toLocaleDateString(config.documents.locale, { day: 'numeric', month: 'long', year: 'numeric' }),
+  };
+}
+
+// Renders the application's current SOP in each of `formats` and saves the
+// files next to it (sop.v3.txt -> sop.v3.pdf), with a copy in `output` if
+// given. Returns the stored paths of the new files.
+async function exportSop(app, { formats = config.documents.formats, style: styleName, output } = {}) {
+  const sopPath = workspace.resolveStoredPath(app.stages.sop.path);
+  if (!sopPath || !fs.existsSync(sopPath)) {
+    throw new Error(`SOP file not found: ${app.stages.sop.path || 'path not specified'}`);
+  }
+
+  const style = loadStyle(styleName || config.documents.style);
+  const layout = buildLayout(fs.readFileSync(sopPath, 'utf8'), headerVariables(app), style);
+  const baseName = path.basename(sopPath).replace(/\.txt$/i, '');
+
+  const written = [];
+  for (const format of formats) {
+    const buffer = await getRenderer(format)(layout);
+    const artifact = artifactService.writeArtifact(app, format, buffer, {
+      file: `${baseName}.${format}`,
+      dedupe: false,
+      meta: { source: workspace.toStoredPath(sopPath), style: style.name },
+    });
+    logger.success(`Exported ${format.toUpperCase()}: ${artifact.filePath}`);
+    written.push(artifact.storedPath);
+
+    if (output) {
+      const fileName = [app.candidateName, app.universityName, 'SOP'].filter(Boolean).map(fileUtils.sanitizeFileName).join('_');
+      fs.mkdirSync(output, { recursive: true });
+      fs.writeFileSync(path.join(output, `${fileName}.${format}`), buffer);
+    }
+  }
+  return written;
+}
+
+module.exports = { listStyles, loadStyle, exportSop };
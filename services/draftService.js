@@ -0,0 +1,163 @@
+// services/draftService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const llmService = require('./llmService');
+
+// Shorter blocks are headings, greetings or sign-offs rather than paragraphs.
+const MIN_PARAGRAPH_WORDS = 15;
+
+const words = (text) => text.split(/\s+/).filter(Boolean);
+
+// Overrides for each of `count` drafts: the base --sop-* overrides, varied by
+// config.drafts.models / temperatures. Every draft gets its own cache tag so
+// repeated settings still produce distinct drafts.
+function planDrafts(count, baseOverrides = {}, { models = config.drafts.models, temperatures = config.drafts.temperatures } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const overrides = { ...baseOverrides, params: { ...baseOverrides.params } };
+    if (models.length > 0) {
+      const entry = models[i % models.length];
+      // Model names may contain colons ("qwen/qwen3-235b-a22b:free"), so only a
+      // known provider name counts as a prefix.
+      const separator = entry.indexOf(':');
+      const prefix = separator > 0 ? entry.slice(0, separator) : null;
+      if (prefix && config.providers[prefix]) {
+        overrides.provider = prefix;
+        overrides.model = entry.slice(separator + 1);
+      } else {
+        overrides.model = entry;
+      }
+    }
+    if (temperatures.length > 0) {
+      overrides.params.temperature = temperatures[i % temperatures.length];
+    }
+    if (count > 1) overrides.cacheTag = `draft-${i + 1}`;
+    return overrides;
+  });
+}
+
+// Share of word trigrams that repeat an earlier one.
+function repetitionRatio(text) {
+  const tokens = words(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' '));
+  if (tokens.length < 3) return 0;
+  const seen = new Set();
+  let repeated = 0;
+  for (let i = 0; i + 3 <= tokens.length; i++) {
+    const trigram = tokens.slice(i, i + 3).join(' ');
+    if (seen.has(trigram)) repeated++;
+    seen.add(trigram);
+  }
+  return repeated / (tokens.length - 2);
+}
+
+function wordRange(sections) {
+  const budgets = sections.map(s => s.words).filter(Boolean);
+  if (budgets.length === 0) return null;
+  return budgets.reduce(([min, max], budget) => (Array.isArray(budget)
+    ? [min + budget[0], max + budget[1]]
+    : [min + Math.round(budget * 0.85), max + Math.round(budget * 1.15)]), [0, 0]);
+}
+
+// Local checks that need no LLM call. `expected` is { sections, university,
+// country, ... } where sections come from templateService.parseOutline(prompt).
+// Returns { score (0-1), checks, issues }.
+function scoreHeuristics(text, expected = {}) {
+  const checks = {};
+  const issues = [];
+  const sections = expected.sections || [];
+
+  const paragraphs = text.split(/\n\s*\n/).filter(p => words(p).length >= MIN_PARAGRAPH_WORDS);
+  if (sections.length > 0) {
+    const gap = Math.abs(paragraphs.length - sections.length);
+    checks.paragraphs = Math.max(0, 1 - gap / sections.length);
+    if (gap > 0) issues.push(`${paragraphs.length} paragraphs, expected ${sections.length}`);
+  }
+
+  const range = wordRange(sections);
+  if (range) {
+    const count = words(text).length;
+    const [min, max] = range;
+    const off = count < min ? (min - count) / min : (count > max ? (count - max) / max : 0);
+    checks.wordCount = Math.max(0, 1 - off * 2);
+    if (off > 0) issues.push(`${count} words, expected ${min}–${max}`);
+  }
+
+  const repetition = repetitionRatio(text);
+  checks.repetition = Math.max(0, 1 - repetition * 5);
+  if (repetition > 0.08) issues.push(`${Math.round(repetition * 100)}% repeated phrases`);
+
+  const entities = [expected.university, expected.country]
+    .filter(name => name && !/^Unknown /.test(name));
+  if (entities.length > 0) {
+    const missing = entities.filter(name => !text.toLowerCase().includes(name.toLowerCase()));
+    checks.entities = 1 - missing.length / entities.length;
+    missing.forEach(name => issues.push(`does not mention ${name}`));
+  }
+
+  const values = Object.values(checks);
+  const score = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return { score, checks, issues };
+}
+
+function buildJudgePrompt(promptText, draft) {
+  return `
+    You are reviewing a draft written from the brief below. Score it from 1 to 10 on each criterion:
+
+    - "structure": follows the paragraphs, order and word budgets the brief asks for.
+    - "specificity": uses concrete details from the brief; no invented facts, no unfilled placeholders.
+    - "coherence": paragraphs connect into one convincing story.
+    - "fit": the course, university and country motivations are specific and believable.
+    - "language": natural, professional English without clichés or AI-sounding filler.
+
+    Return the output as a single, minified, valid JSON object with no other text before or after it:
+    {"structure":n,"specificity":n,"coherence":n,"fit":n,"language":n,"overall":n,"summary":"<one sentence>"}
+
+    Brief:
+    ---
+    ${promptText}
+    ---
+
+    Draft:
+    ---
+    ${draft}
+    ---
+  `;
+}
+
+// Rubric scores from the judge model: { overall (1-10), scores, summary, model }.
+async function judgeDraft(promptText, draft, overrides = {}) {
+  const result = await llmService.complete('judge', [{ role: 'user', content: buildJudgePrompt(promptText, draft) }], overrides);
+  try {
+    const cleanedJsonString = result.text.replace(/```json/g, '').replace(/```/g, '').trim();
+    const { overall, summary, ...scores } = JSON.parse(cleanedJsonString);
+    if (typeof overall !== 'number') throw new Error('Judge reply has no numeric "overall" score.');
+    return { overall, scores, summary, provider: result.provider, model: result.model };
+  } catch (error) {
+    llmService.forget(result.cacheKey);
+    throw error;
+  }
+}
+
+// Scores every draft ({ text, ... }) and returns them best first, each with
+// { rank, score, heuristics, judge }. A failed judge call only costs that
+// draft its judge score; the heuristics still rank it.
+async function rankDrafts(drafts, promptText, expected, { judgeOverrides = {}, weights = config.drafts.weights } = {}) {
+  const scored = await Promise.all(drafts.map(async (draft) => {
+    const heuristics = scoreHeuristics(draft.text, expected);
+    let judge = null;
+    try {
+      judge = await judgeDraft(promptText, draft.text, judgeOverrides);
+    } catch (error) {
+      logger.warn(`Could not judge draft ${draft.index}; ranking it on heuristics only. ${error.message}`);
+    }
+    const score = judge
+      ? weights.judge * (judge.overall / 10) + weights.heuristics * heuristics.score
+      : heuristics.score;
+    return { ...draft, score: Math.round(score * 1000) / 1000, heuristics, judge };
+  }));
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .map((draft, i) => ({ ...draft, rank: i + 1 }));
+}
+
+module.exports = { planDrafts, scoreHeuristics, judgeDraft, rankDrafts };
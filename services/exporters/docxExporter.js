@@ -0,0 +1,67 @@
+// services/exporters/docxExporter.js
+const {
+  Document, Packer, Paragraph, TextRun, Header, Footer, AlignmentType, PageNumber,
+} = require('docx');
+const { pageSize } = require('./layout');
+
+// Word measures in twentieths of a point and font sizes in half-points.
+const twips = (points) => Math.round(points * 20);
+
+const ALIGNMENTS = {
+  left: AlignmentType.LEFT,
+  right: AlignmentType.RIGHT,
+  center: AlignmentType.CENTER,
+  justify: AlignmentType.JUSTIFIED,
+};
+
+async function renderDocx({ style, header, footer, title, paragraphs, wordCountLine }) {
+  const [width, height] = pageSize(style.page.size);
+  const { margins } = style.page;
+  const line = (text, { size, align, bold } = {}) => new Paragraph({
+    alignment: ALIGNMENTS[align] || AlignmentType.LEFT,
+    children: [new TextRun({ text, size: size && size * 2, bold })],
+  });
+
+  const footerRuns = [new TextRun({ text: footer, size: style.footer.size * 2 })];
+  if (style.footer.pageNumbers) {
+    footerRuns.push(new TextRun({
+      size: style.footer.size * 2,
+      children: [footer ? ' · Page ' : 'Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+    }));
+  }
+
+  const document = new Document({
+    title,
+    styles: {
+      default: {
+        document: {
+          run: { font: style.font.family, size: style.font.size * 2 },
+          paragraph: { spacing: { line: Math.round(240 * style.font.lineSpacing), after: twips(style.paragraph.spacingAfter) } },
+        },
+      },
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: twips(width), height: twips(height) },
+          margin: { top: twips(margins.top), right: twips(margins.right), bottom: twips(margins.bottom), left: twips(margins.left) },
+        },
+      },
+      headers: {
+        default: new Header({ children: header.map(text => line(text, { size: style.header.size, align: style.header.align })) }),
+      },
+      footers: {
+        default: new Footer({ children: [new Paragraph({ alignment: AlignmentType.CENTER, children: footerRuns })] }),
+      },
+      children: [
+        ...(title ? [line(title, { size: style.font.size + 2, align: 'center', bold: true })] : []),
+        ...paragraphs.map(text => line(text, { align: style.paragraph.align })),
+        ...(wordCountLine ? [line(wordCountLine, { size: style.footer.size, align: 'right' })] : []),
+      ],
+    }],
+  });
+
+  return Packer.toBuffer(document);
+}
+
+module.exports = { renderDocx };
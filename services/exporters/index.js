@@ -0,0 +1,21 @@
+// services/exporters/index.js
+const { renderDocx } = require('./docxExporter');
+const { renderPdf } = require('./pdfExporter');
+
+// Every renderer takes the same layout:
+//   { style, title, header: [line], footer, paragraphs: [text], wordCountLine }
+// and resolves to a Buffer with the finished file.
+const renderers = {
+  docx: renderDocx,
+  pdf: renderPdf,
+};
+
+function getRenderer(format) {
+  const renderer = renderers[format];
+  if (!renderer) {
+    throw new Error(`Unknown export format "${format}". Available formats: ${Object.keys(renderers).join(', ')}.`);
+  }
+  return renderer;
+}
+
+module.exports = { getRenderer, formats: Object.keys(renderers) };
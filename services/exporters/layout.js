@@ -0,0 +1,16 @@
+// services/exporters/layout.js
+
+// Page sizes in points (1/72 inch), shared by both renderers.
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  Letter: [612, 792],
+  Legal: [612, 1008],
+};
+
+function pageSize(name) {
+  const size = PAGE_SIZES[name];
+  if (!size) throw new Error(`Unknown page size "${name}". Available sizes: ${Object.keys(PAGE_SIZES).join(', ')}.`);
+  return size;
+}
+
+module.exports = { pageSize };
@@ -0,0 +1,75 @@
+// services/exporters/pdfExporter.js
+const PDFDocument = require('pdfkit');
+const logger = require('../../utils/logger');
+const { pageSize } = require('./layout');
+
+// The 14 standard PDF fonts need no font file. Other families need
+// style.font.pdfFile (and optionally pdfBoldFile) pointing at a TTF/OTF.
+const STANDARD_FONTS = {
+  'times new roman': ['Times-Roman', 'Times-Bold'],
+  times: ['Times-Roman', 'Times-Bold'],
+  arial: ['Helvetica', 'Helvetica-Bold'],
+  helvetica: ['Helvetica', 'Helvetica-Bold'],
+  'courier new': ['Courier', 'Courier-Bold'],
+  courier: ['Courier', 'Courier-Bold'],
+};
+
+function resolveFonts(font) {
+  if (font.pdfFile) return [font.pdfFile, font.pdfBoldFile || font.pdfFile];
+  const standard = STANDARD_FONTS[font.family.toLowerCase()];
+  if (standard) return standard;
+  logger.warn(`No PDF font for "${font.family}"; set font.pdfFile in the style. Using Times.`);
+  return STANDARD_FONTS.times;
+}
+
+function renderPdf({ style, header, footer, title, paragraphs, wordCountLine }) {
+  const { margins } = style.page;
+  const [regular, bold] = resolveFonts(style.font);
+  const doc = new PDFDocument({ size: pageSize(style.page.size), margins, bufferPages: true, info: { Title: title } });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const lineGap = (style.font.lineSpacing - 1) * style.font.size;
+  const bodyWidth = doc.page.width - margins.left - margins.right;
+
+  if (title) {
+    doc.font(bold).fontSize(style.font.size + 2).text(title, { align: 'center' });
+    doc.moveDown();
+  }
+  doc.font(regular).fontSize(style.font.size);
+  paragraphs.forEach((text) => {
+    doc.text(text, { align: style.paragraph.align, lineGap, paragraphGap: style.paragraph.spacingAfter });
+  });
+  if (wordCountLine) doc.fontSize(style.footer.size).text(wordCountLine, { align: 'right' });
+
+  // Header and footer sit in the margins, so every page is revisited once the
+  // page count is known. Margins are lifted while writing there, otherwise
+  // pdfkit would start a new page.
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const saved = { ...doc.page.margins };
+    doc.page.margins = { top: 0, bottom: 0, left: saved.left, right: saved.right };
+
+    doc.font(regular).fontSize(style.header.size);
+    const headerHeight = header.reduce((sum, text) => sum + doc.heightOfString(text, { width: bodyWidth }), 0);
+    doc.text(header.join('\n'), margins.left, Math.max(12, margins.top - headerHeight - 12), { width: bodyWidth, align: style.header.align });
+
+    const pageLabel = style.footer.pageNumbers ? `Page ${i - range.start + 1} of ${range.count}` : '';
+    const footerText = [footer, pageLabel].filter(Boolean).join(' · ');
+    if (footerText) {
+      doc.fontSize(style.footer.size).text(footerText, margins.left, doc.page.height - margins.bottom + 12, { width: bodyWidth, align: 'center' });
+    }
+    doc.page.margins = saved;
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,46 @@
+// services/guidanceService.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Country guidance packs are JSON files in config.paths.guidance:
+//   {
+//     "country": "Germany",
+//     "aliases": ["Deutschland"],
+//     "guidance": [ "<applies to every application to this country>", ... ],
+//     "levels": { "PhD": [ "<only for this degree level>" ] },
+//     "documents": { "visa-circumstances": [ "<only for this template>" ] }
+//   }
+// The lines matching an application are injected into its prompt as
+// {{countryGuidance}}, chosen by the extracted `country`.
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function listGuidance() {
+  const dir = config.paths.guidance;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+}
+
+// The pack whose country or alias matches, or null.
+function findPack(country) {
+  const wanted = normalize(country);
+  if (!wanted) return null;
+  return listGuidance().find(pack => [pack.country, ...(pack.aliases || [])].some(name => normalize(name) === wanted)) || null;
+}
+
+// Guidance lines for an application: general ones, then those for its degree
+// level and its document template.
+function guidanceFor(country, { degreeType, documentType } = {}) {
+  const pack = findPack(country);
+  if (!pack) return [];
+  return [
+    ...(pack.guidance || []),
+    ...((pack.levels || {})[degreeType] || []),
+    ...((pack.documents || {})[documentType] || []),
+  ];
+}
+
+module.exports = { listGuidance, findPack, guidanceFor };
@@ -0,0 +1,163 @@
+// services/lintService.js
+const config = require('../config');
+
+// Checks a generated SOP against the prompt it was written from. clean() removes
+// what models add around the document (reasoning blocks, "1st Paragraph –"
+// scaffolding, chatty preambles); lint() reports what is still wrong. Issues are
+// { rule, severity: 'error' | 'warning', message }; any error means the SOP
+// needs a human review before it is used.
+
+const REASONING_BLOCK = /<(think|thinking|reasoning)>[\s\S]*?<\/\1>/gi;
+const REASONING_TAG = /<\/?(think|thinking|reasoning)>/i;
+// "1st Paragraph – Introduction (120–150 words):" as copied from the prompt.
+const SCAFFOLD_LINE = /^\s*(?:#{1,6}\s*)?(?:\*\*)?\s*\d+(?:st|nd|rd|th)\s+\w+\s*[–—-].*$/i;
+const MARKDOWN_HEADING = /^\s*#{1,6}\s+\S.*$/;
+const PREAMBLE = /^\s*(?:sure|certainly|of course|here(?:'s| is))\b[^\n]*:\s*$/i;
+const SIGN_OFF = /^\s*(?:let me know|i hope this|feel free to)\b[^\n]*$/i;
+const PLACEHOLDER = /\[[^\]\n]{2,60}\]|\{\{[^}]*\}\}|<insert[^>]*>|\bX{3,}\b/gi;
+
+const MIN_PARAGRAPH_WORDS = 15;
+
+const words = (text) => text.split(/\s+/).filter(Boolean);
+const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+function paragraphsOf(text) {
+  return text.split(/\n\s*\n/).filter(p => words(p).length >= MIN_PARAGRAPH_WORDS);
+}
+
+// A name counts as mentioned if it appears as is, or if every significant word
+// of it does ("M.Sc. Infection Biology (Master)" -> infection, biology).
+function mentions(text, name) {
+  if (!name) return true;
+  const haystack = normalize(text);
+  if (haystack.includes(normalize(name))) return true;
+  const significant = normalize(name.replace(/\([^)]*\)/g, ''))
+    .split(' ')
+    .filter(word => word.length > 3 && !['master', 'masters', 'bachelor', 'science', 'university'].includes(word));
+  return significant.length > 0 && significant.every(word => haystack.includes(word));
+}
+
+const isTitleLine = (line, titles) => {
+  const bare = normalize(line.replace(/^\s*(?:#{1,6}|\*\*|\d+[.)])\s*/, ''));
+  return bare !== '' && titles.has(bare);
+};
+
+// Returns { text, stripped } where `stripped` lists what was removed.
+function clean(text, { sections = [] } = {}) {
+  const stripped = [];
+  const titles = new Set(sections.map(section => normalize(section.title)));
+
+  let result = text.replace(REASONING_BLOCK, () => {
+    stripped.push('reasoning block');
+    return '';
+  });
+  // Some models only emit the closing tag; everything before it is reasoning.
+  const closing = result.search(/<\/(think|thinking|reasoning)>/i);
+  if (closing !== -1) {
+    result = result.slice(result.indexOf('>', closing) + 1);
+    stripped.push('reasoning block');
+  }
+
+  const lines = result.split('\n').filter((line) => {
+    const short = words(line).length <= 12;
+    if (SCAFFOLD_LINE.test(line) && short) stripped.push(`heading "${line.trim()}"`);
+    else if (MARKDOWN_HEADING.test(line) || (short && isTitleLine(line, titles))) stripped.push(`heading "${line.trim()}"`);
+    else if (PREAMBLE.test(line) || SIGN_OFF.test(line)) stripped.push(`"${line.trim()}"`);
+    else return true;
+    return false;
+  });
+
+  // "**Introduction:** In today's..." -> "In today's..."
+  const unlabelled = lines.map(line => line.replace(/^\s*\*\*([^*\n]{2,60}?):?\*\*:?\s*/, (match, label) => {
+    if (!titles.has(normalize(label)) && !SCAFFOLD_LINE.test(label)) return match;
+    stripped.push(`label "${label}"`);
+    return '';
+  }));
+
+  return { text: unlabelled.join('\n').replace(/\n{3,}/g, '\n\n').trim(), stripped };
+}
+
+function budgetOf(words) {
+  if (!words) return null;
+  return Array.isArray(words) ? words : [Math.round(words * 0.85), Math.round(words * 1.15)];
+}
+
+// `expected` is { sections, course, university, country, requirements, unanswered };
+// sections come from templateService.parseOutline(prompt), requirements are
+// the programme's rules the prompt was built with, and unanswered lists required
+// questions the judge found unanswered (requirementsService.enforceRequirements).
+// Returns { passed, issues }.
+function lint(text, expected = {}, { cliches = config.lint.cliches, wordTolerance = config.lint.wordTolerance } = {}) {
+  const issues = [];
+  const report = (rule, severity, message) => issues.push({ rule, severity, message });
+  const sections = expected.sections || [];
+
+  if (REASONING_TAG.test(text)) report('reasoning', 'error', 'Contains model reasoning (<think> tags).');
+  const scaffolding = text.split('\n').filter(line => SCAFFOLD_LINE.test(line) || MARKDOWN_HEADING.test(line));
+  if (scaffolding.length > 0) report('scaffolding', 'error', `Contains prompt headings: ${scaffolding.map(l => `"${l.trim()}"`).join(', ')}.`);
+
+  const placeholders = [...new Set(text.match(PLACEHOLDER) || [])];
+  if (placeholders.length > 0) report('placeholder', 'error', `Unfilled placeholders: ${placeholders.join(', ')}.`);
+
+  // Every section of the prompt should have its own paragraph.
+  const paragraphs = paragraphsOf(text);
+  if (sections.length > 0 && paragraphs.length < sections.length) {
+    report('sections', 'error', `Only ${paragraphs.length} paragraph(s) for ${sections.length} sections (${sections.map(s => s.title).join(', ')}).`);
+  } else if (sections.length > 0 && paragraphs.length > sections.length) {
+    report('sections', 'warning', `${paragraphs.length} paragraphs for ${sections.length} sections.`);
+  }
+
+  const country = expected.country && !/^Unknown /.test(expected.country) ? expected.country : null;
+  for (const section of sections) {
+    if (/country/i.test(section.title) && country && !mentions(text, country)) {
+      report('sections', 'error', `"${section.title}" is missing: ${country} is never mentioned.`);
+    }
+  }
+
+  for (const [field, name] of [['course', expected.course], ['university', expected.university]]) {
+    if (name && !mentions(text, name)) report(field, 'error', `The ${field} name "${name}" does not appear.`);
+  }
+
+  // The programme's own limits are hard ones, unlike the template's budgets.
+  const requirements = expected.requirements;
+  if (requirements) {
+    const count = words(text).length;
+    if (requirements.wordLimit && count > requirements.wordLimit) {
+      report('wordLimit', 'error', `${count} words; the programme allows at most ${requirements.wordLimit}.`);
+    }
+    if (requirements.characterLimit && text.length > requirements.characterLimit) {
+      report('wordLimit', 'error', `${text.length} characters; the programme allows at most ${requirements.characterLimit}.`);
+    }
+  }
+  const unanswered = expected.unanswered || [];
+  if (unanswered.length > 0) {
+    report('questions', 'error', `Required questions not answered: ${unanswered.map(q => `"${q}"`).join(', ')}.`);
+  }
+
+  const found = cliches.filter(phrase => normalize(text).includes(normalize(phrase)));
+  if (found.length > 0) report('cliche', 'warning', `Clichés: ${found.map(p => `"${p}"`).join(', ')}.`);
+
+  // Word budgets: the whole document, then each paragraph if they line up with the sections.
+  const budgets = sections.map(section => budgetOf(section.words));
+  if (budgets.length > 0 && budgets.every(Boolean)) {
+    const [min, max] = budgets.reduce(([lo, hi], [a, b]) => [lo + a, hi + b], [0, 0]);
+    const count = words(text).length;
+    if (count < min || count > max) {
+      const off = count < min ? (min - count) / min : (count - max) / max;
+      report('wordCount', off > wordTolerance ? 'error' : 'warning', `${count} words; the prompt asks for ${min}–${max}.`);
+    }
+    if (paragraphs.length === sections.length) {
+      paragraphs.forEach((paragraph, i) => {
+        const [lo, hi] = budgets[i];
+        const count = words(paragraph).length;
+        if (count < lo * (1 - wordTolerance) || count > hi * (1 + wordTolerance)) {
+          report('wordCount', 'warning', `"${sections[i].title}" has ${count} words; the prompt asks for ${lo}–${hi}.`);
+        }
+      });
+    }
+  }
+
+  return { passed: !issues.some(issue => issue.severity === 'error'), issues };
+}
+
+module.exports = { clean, lint, mentions };
@@ -0,0 +1,144 @@
+// services/llmService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const scheduler = require('../utils/scheduler');
+const credentials = require('../utils/credentials');
+const runLog = require('../utils/runLog');
+const { createProvider } = require('./providers');
+
+const llmCache = cache.createCache('llm', () => config.cache.llmTtlHours);
+
+// One concurrency limiter and token bucket per provider and credential profile,
+// shared by every task, so a batch never exceeds the limits in config.rateLimits.
+const gates = new Map();
+
+function getGate(providerName, profile) {
+  const id = `${providerName}:${profile}`;
+  if (!gates.has(id)) {
+    const limits = config.rateLimits[id] || config.rateLimits[providerName] || config.rateLimits.default;
+    gates.set(id, {
+      limiter: scheduler.createLimiter(limits.concurrency || 1),
+      bucket: scheduler.createTokenBucket(limits),
+    });
+  }
+  return gates.get(id);
+}
+
+function resolveProviderName(task, overrides = {}) {
+  return overrides.provider || (config.llm[task] || {}).provider;
+}
+
+// The provider and model a task would use, without creating the provider or
+// checking its key: { provider, model }. A task-level model belongs to the
+// task's default provider, so it is dropped when the provider is overridden
+// without a model.
+function resolveModel(task, overrides = {}) {
+  const taskConfig = config.llm[task] || {};
+  const provider = resolveProviderName(task, overrides);
+  const providerConfig = config.providers[provider] || {};
+  const model = overrides.model
+    || (overrides.provider ? null : taskConfig.model)
+    || providerConfig.model
+    || provider;
+  return { provider, model };
+}
+
+// Resolves a pipeline task ('metadata', 'sop', ...) to a provider instance using
+// config.llm[task]. `overrides` may replace provider or model for one call, and
+// pick a credential profile (overrides.profile). An entry of config.providers that already has a generate() method (injected
+// through the library API) is used as is; it is told the model resolved for the task.
+function getProvider(task, overrides = {}) {
+  const providerName = resolveProviderName(task, overrides);
+  const providerConfig = config.providers[providerName];
+  if (!providerConfig) {
+    throw new Error(`No provider named "${providerName}" in config.providers (task: ${task}).`);
+  }
+  const { model } = resolveModel(task, overrides);
+  if (typeof providerConfig.generate === 'function') {
+    return { name: providerName, model, generate: (request) => providerConfig.generate({ ...request, model }) };
+  }
+
+  const apiKey = credentials.resolveApiKey(providerName, providerConfig, credentials.resolveProfile(overrides.profile));
+  return createProvider({ ...providerConfig, apiKey, model });
+}
+
+// Identical requests (same provider, model, params, messages and
+// overrides.cacheTag) are answered from the cache. The result carries
+// `cacheKey`, so a caller that finds the reply unusable can forget() it
+// instead of getting it back on every retry. Every call, cached or not, is
+// counted in the run report with its latency and token usage.
+// `overrides.responseFormat` ({ name, schema }: a JSON schema for the reply) is
+// passed on to providers with `structuredOutput` set (and injected ones); the
+// caller still has to validate the reply, since other providers ignore it.
+// With `overrides.onToken(text)` the reply is streamed (config.streaming) and
+// each piece passed on as it arrives; cached replies are returned whole.
+async function complete(task, messages, overrides = {}) {
+  const provider = getProvider(task, overrides);
+  const providerName = resolveProviderName(task, overrides);
+  const params = { ...config.llm[task]?.params, ...overrides.params };
+  const cacheKey = JSON.stringify({
+    provider: provider.name,
+    model: provider.model,
+    params,
+    prompt: cache.hash(JSON.stringify(messages)),
+    // Lets deliberate repeats of one request (several drafts) get their own replies.
+    variant: overrides.cacheTag,
+    format: overrides.responseFormat && overrides.responseFormat.name,
+  });
+  const providerConfig = config.providers[providerName];
+  const responseFormat = providerConfig.structuredOutput || typeof providerConfig.generate === 'function'
+    ? overrides.responseFormat
+    : undefined;
+  // The echo provider is offline and deterministic already; caching it would hide fixture edits.
+  const cacheable = provider.name !== 'echo';
+  const stream = overrides.onToken && config.streaming.enabled
+    ? { onToken: overrides.onToken, idleTimeoutMs: config.streaming.idleTimeoutMs }
+    : undefined;
+
+  const cached = cacheable ? llmCache.get(cacheKey) : null;
+  const call = { task, provider: providerName, model: provider.model };
+  if (cached) {
+    logger.debug(`Using cached ${task} response from ${provider.name} model: ${provider.model}`, call);
+    runLog.recordLlmCall({ ...call, latencyMs: 0, usage: cached.usage, cached: true });
+    return { ...cached, provider: provider.name, model: provider.model, params, cacheKey, cached: true };
+  }
+
+  const { limiter, bucket } = getGate(providerName, credentials.resolveProfile(overrides.profile));
+  let result;
+  let latencyMs = 0;
+  try {
+    result = await limiter.run(() => scheduler.withRetries(async () => {
+      await bucket.take();
+      logger.debug(`Sending ${task} request to ${provider.name} model: ${provider.model}`, call);
+      const startedAt = Date.now();
+      try {
+        return await provider.generate({ messages, params, responseFormat, stream });
+      } finally {
+        latencyMs += Date.now() - startedAt;
+      }
+    }, {
+      ...config.retry,
+      onRetry: (error, attempt, delay) => logger.warn(
+        `${provider.name} ${task} request failed (${error.status || error.message}); retry ${attempt}/${config.retry.retries} in ${Math.round(delay / 1000)}s.`,
+      ),
+    }));
+    if (!result.text) {
+      throw new Error(`No content found in ${provider.name} response.`);
+    }
+  } catch (error) {
+    runLog.recordLlmCall({ ...call, latencyMs, usage: result && result.usage, error: error.message });
+    throw error;
+  }
+  runLog.recordLlmCall({ ...call, latencyMs, usage: result.usage });
+  logger.debug(`Received ${task} response from ${provider.name} model: ${provider.model}`, { ...call, latencyMs, usage: result.usage });
+
+  if (cacheable) llmCache.set(cacheKey, { text: result.text, usage: result.usage });
+  return { ...result, provider: provider.name, model: provider.model, params, cacheKey, cached: false };
+}
+
+function forget(cacheKey) {
+  if (cacheKey) llmCache.remove(cacheKey);
+}
+
+module.exports = { getProvider, resolveModel, complete, forget };
@@ -0,0 +1,151 @@
+// services/metadataService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { validate, extractJson } = require('../utils/schema');
+const llmService = require('./llmService');
+
+const DEGREE_TYPES = ["Bachelor's", "Master's", 'PhD', 'Diploma', 'Certificate', 'Other'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Sent to providers with structured output (config.providers.*.structuredOutput)
+// and checked on every reply. Every key is required; unknown values are "" or [].
+const METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    courseName: { type: 'string', description: 'Official name of the course, without the degree abbreviation.' },
+    universityName: { type: 'string', description: 'Name of the university offering the course.' },
+    country: { type: 'string', description: 'Country where the university is located.' },
+    summary: { type: 'string', description: 'Concise 10-line summary: course focus, key modules, skills gained, career paths.' },
+    degreeType: { type: 'string', enum: DEGREE_TYPES, description: 'Level of the degree awarded.' },
+    degree: { type: 'string', description: 'Degree awarded as written on the page, e.g. "M.Sc." or "MA".' },
+    languageOfInstruction: { type: 'string', description: 'Language(s) the course is taught in.' },
+    duration: { type: 'string', description: 'Standard length, e.g. "2 years (4 semesters)".' },
+    intakes: { ...stringList, description: 'Intake semesters or start dates, e.g. "Winter semester (October)".' },
+    keyModules: { ...stringList, description: 'Names of the most important modules or courses.' },
+    researchGroups: { ...stringList, description: 'Research groups, labs or institutes connected with the course.' },
+    admissionRequirements: { ...stringList, description: 'Admission requirements: prior degree, grades, language tests, documents.' },
+    tuition: { type: 'string', description: 'Tuition or semester fees as stated, with currency.' },
+    wordLimit: { type: 'integer', description: 'Maximum length of the statement of purpose or motivation letter in words; 0 if not stated.' },
+    characterLimit: { type: 'integer', description: 'Maximum length of that document in characters; 0 if not stated.' },
+    essayQuestions: { ...stringList, description: 'Questions or topics the statement must address, as listed by the programme.' },
+    formatRules: { ...stringList, description: 'Format rules for the statement, e.g. "one page", "PDF", "signed and dated".' },
+  },
+  required: [
+    'courseName', 'universityName', 'country', 'summary', 'degreeType', 'degree', 'languageOfInstruction',
+    'duration', 'intakes', 'keyModules', 'researchGroups', 'admissionRequirements', 'tuition',
+    'wordLimit', 'characterLimit', 'essayQuestions', 'formatRules',
+  ],
+  additionalProperties: false,
+};
+
+function buildExtractionPrompt(courseText) {
+  const fields = Object.entries(METADATA_SCHEMA.properties)
+    .map(([key, property]) => `    - "${key}" (${property.type === 'array' ? 'array of strings' : property.type}): ${property.description}`
+      + (property.enum ? ` One of: ${property.enum.join(', ')}.` : ''))
+    .join('\n');
+  return `
+    Analyze the following course information and extract the specified details.
+    Return the output as a single, minified, valid JSON object with no other text before or after it.
+    The JSON object must have exactly these keys; use "", 0 or [] for anything the text does not state:
+
+${fields}
+
+    Course Information:
+    ---
+    ${courseText}
+    ---
+  `;
+}
+
+// Optional details a model left out are filled in, so only wrong types and a
+// missing core field (name, university, country, summary) need a repair.
+const CORE_FIELDS = ['courseName', 'universityName', 'country', 'summary'];
+
+function withDefaults(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  const filled = { ...data };
+  for (const [key, property] of Object.entries(METADATA_SCHEMA.properties)) {
+    if (CORE_FIELDS.includes(key) || key in filled) continue;
+    if (property.type === 'array') filled[key] = [];
+    else if (property.type === 'integer') filled[key] = 0;
+    else filled[key] = key === 'degreeType' ? 'Other' : '';
+  }
+  return filled;
+}
+
+function repairRequest(errors) {
+  return 'Your reply could not be used: '
+    + `${errors.join('; ')}. `
+    + 'Return the complete corrected JSON object with every required key, and nothing else.';
+}
+
+const cleanList = (list) => list.map(item => item.trim()).filter(Boolean);
+
+// Extracts course metadata from course text that fits the model (see
+// budgetService.fitCourseText), asking the model to fix its reply when it is not
+// valid JSON or does not match METADATA_SCHEMA (config.llm.metadata.repairAttempts
+// times). Returns the legacy course/university/country/courseInfo fields plus
+// the programme details, the extracted `requirements` and `generatedBy`.
+async function extractMetadataAndInfo(courseText, overrides = {}) {
+  const messages = [{ role: 'user', content: buildExtractionPrompt(courseText) }];
+  const repairAttempts = config.llm.metadata.repairAttempts ?? 2;
+  const request = { ...overrides, responseFormat: { name: 'course_metadata', schema: METADATA_SCHEMA } };
+
+  let errors = [];
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    let result;
+    try {
+      result = await llmService.complete('metadata', messages, request);
+    } catch (error) {
+      logger.error('Failed to extract course metadata.', error);
+      throw error;
+    }
+
+    let data;
+    try {
+      data = withDefaults(extractJson(result.text));
+      errors = validate(data, METADATA_SCHEMA);
+    } catch (error) {
+      errors = [`invalid JSON (${error.message})`];
+    }
+    if (errors.length === 0) {
+      return {
+        course: data.courseName.trim() || 'Unknown Course',
+        university: data.universityName.trim() || 'Unknown University',
+        country: data.country.trim() || 'Unknown Country',
+        courseInfo: data.summary.trim() || 'Info not available.',
+        degreeType: data.degreeType,
+        degree: data.degree.trim(),
+        languageOfInstruction: data.languageOfInstruction.trim(),
+        duration: data.duration.trim(),
+        intakes: cleanList(data.intakes),
+        keyModules: cleanList(data.keyModules),
+        researchGroups: cleanList(data.researchGroups),
+        admissionRequirements: cleanList(data.admissionRequirements),
+        tuition: data.tuition.trim(),
+        // The programme's own rules for the document (services/requirementsService).
+        requirements: {
+          wordLimit: Math.max(0, data.wordLimit),
+          characterLimit: Math.max(0, data.characterLimit),
+          questions: cleanList(data.essayQuestions),
+          format: cleanList(data.formatRules),
+        },
+        generatedBy: { provider: result.provider, model: result.model, params: result.params, attempts: attempt + 1 },
+      };
+    }
+
+    // Don't let a malformed reply be served from the cache on the next attempt.
+    llmService.forget(result.cacheKey);
+    if (attempt < repairAttempts) {
+      logger.warn(`Course metadata reply was invalid (${errors.join('; ')}); asking the model to repair it.`);
+      messages.push({ role: 'assistant', content: result.text }, { role: 'user', content: repairRequest(errors) });
+    }
+  }
+
+  const error = new Error(`Course metadata did not match the schema after ${repairAttempts + 1} attempt(s): ${errors.join('; ')}`);
+  logger.error('Failed to extract course metadata.', error.message);
+  throw error;
+}
+
+module.exports = { extractMetadataAndInfo, METADATA_SCHEMA, DEGREE_TYPES };
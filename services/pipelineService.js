@@ -0,0 +1,552 @@
+// services/pipelineService.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const runLog = require('../utils/runLog');
+const fileUtils = require('../utils/fileUtils');
+const scheduler = require('../utils/scheduler');
+const workspace = require('../utils/workspace');
+const { unifiedDiff } = require('../utils/diff');
+const artifactService = require('./artifactService');
+const budgetService = require('./budgetService');
+const checkpointService = require('./checkpointService');
+const crawlerService = require('./crawlerService');
+const documentService = require('./documentService');
+const draftService = require('./draftService');
+const lintService = require('./lintService');
+const metadataService = require('./metadataService');
+const promptService = require('./promptService');
+const requirementsService = require('./requirementsService');
+const resumeService = require('./resumeService');
+const sopService = require('./sopService');
+const store = require('./applicationStore');
+const templateService = require('./templateService');
+
+// `options.row` is the 1-based row number shown by the `status` command.
+function isSelected(index, options = {}) {
+  return !options.row || options.row === index + 1;
+}
+
+const isRunnable = (stage) => stage.status === 'pending' || (stage.status === 'failed' && stage.retryable);
+
+function needsPrompt(app) {
+  return isRunnable(app.stages.prompt);
+}
+
+function needsSop(app) {
+  return app.stages.prompt.status === 'done' && isRunnable(app.stages.sop);
+}
+
+async function buildPromptForApplication(app, options = {}) {
+  logger.info(`Processing application for: ${app.candidateName}`);
+
+  // 1. Get Course Text (crawling sub-pages too when enabled)
+  const isUrl = app.courseInput.startsWith('http');
+  let courseText = app.courseInput;
+  if (isUrl && (options.crawl || config.crawl.enabled)) {
+    courseText = await crawlerService.crawlCourse(app.courseInput, {
+      maxDepth: options.crawlDepth ?? config.crawl.maxDepth,
+      maxPages: options.crawlPages ?? config.crawl.maxPages,
+    });
+  } else if (isUrl) {
+    courseText = await fileUtils.fetchCourseTextFromUrl(app.courseInput);
+  }
+
+  if (!courseText) {
+    throw new Error('Could not retrieve course text.');
+  }
+
+  // 2. Extract Metadata with the configured provider, summarising course text
+  //    that is too long for it
+  courseText = await budgetService.fitCourseText(courseText, { overrides: options.metadataOverrides, subject: app.candidateName });
+  const metadata = await metadataService.extractMetadataAndInfo(courseText, options.metadataOverrides);
+  const { generatedBy, ...courseMetadata } = metadata;
+  const metadataArtifact = artifactService.writeArtifact(app, 'metadata', { courseInput: app.courseInput, ...courseMetadata }, {
+    ext: 'json',
+    meta: generatedBy,
+  });
+
+  // 3. Read the resume into a candidate profile (--resume fills in rows that do not name one)
+  const resumeFile = app.resumeFile || options.resume;
+  const candidate = await resumeService.loadCandidate(resumeFile, options.resumeOverrides);
+  if (resumeFile && !candidate) {
+    logger.warn(`Could not read resume for ${app.candidateName}, proceeding without it.`);
+  }
+  const resumeArtifact = candidate && artifactService.writeArtifact(app, 'resume-profile', { resumeFile, ...candidate }, {
+    ext: 'json',
+    meta: { resumeFile },
+  });
+
+  // 4. Build the prompt from the row's document template (--template fills in empty
+  //    rows, then the template for the programme's degree level) and the
+  //    programme's requirements file (written from the metadata if there is none);
+  //    the resume is compressed if the prompt would not fit the SOP model
+  const documentType = promptService.resolveTemplateName(app.documentType || options.template, metadata);
+  const requirements = requirementsService.resolveRequirements(metadata);
+  const { prompt: sopPrompt } = budgetService.fitPrompt(
+    (shortened) => promptService.buildSOPPrompt(metadata, shortened, documentType, requirements),
+    candidate,
+    { metadata, overrides: options.sopOverrides, subject: app.candidateName },
+  );
+
+  // 5. Save the prompt as the next version in the application's folder; the
+  //    requirements it was built with are kept so the SOP can be checked against them
+  const promptArtifact = artifactService.writeArtifact(app, 'prompt', sopPrompt, {
+    meta: {
+      template: documentType,
+      inputs: [metadataArtifact.storedPath, resumeArtifact && resumeArtifact.storedPath, requirements && requirements.file].filter(Boolean),
+      requirements,
+    },
+  });
+  logger.success(`Prompt saved to: ${promptArtifact.filePath}`);
+
+  // --output keeps a flat copy named after the course, as earlier versions wrote it.
+  if (options.output) {
+    const fileName = `${fileUtils.sanitizeFileName(metadata.course)}_${fileUtils.sanitizeFileName(metadata.university)}_prompt.txt`;
+    fileUtils.savePromptToFile(sopPrompt, fileName, options.output);
+  }
+
+  // 6. Return data to update the application record
+  return {
+    courseName: metadata.course,
+    universityName: metadata.university,
+    promptPath: promptArtifact.storedPath,
+  };
+}
+
+// What a generated SOP is checked against: the sections of its prompt, the
+// names from the record and the extracted course metadata, and the programme
+// requirements recorded with the prompt (none for prompts of older runs).
+function expectationsFor(app, promptText) {
+  const metadata = JSON.parse(artifactService.readLatest(app, 'metadata') || '{}');
+  const prompt = artifactService.latest(app, 'prompt');
+  const isCurrentPrompt = prompt && (app.stages.prompt.path || '').endsWith(prompt.file);
+  return {
+    sections: templateService.parseOutline(promptText),
+    course: app.courseName || metadata.course,
+    university: app.universityName || metadata.university,
+    country: metadata.country,
+    requirements: (isCurrentPrompt && prompt.requirements) || null,
+  };
+}
+
+// Returns { sopPath, lint } for the best draft; `lint.passed` is false when it needs a review.
+async function generateSopForApplication(app, options = {}) {
+  logger.info(`Generating SOP for: ${app.candidateName} - ${app.courseName}`);
+
+  // 1. Validate and read the prompt file
+  const promptPath = workspace.resolveStoredPath(app.stages.prompt.path);
+  if (!promptPath || !fs.existsSync(promptPath)) {
+    logger.error(`Prompt file not found for this application: ${promptPath || 'path not specified'}`);
+    // This is a critical, non-recoverable error for this run.
+    throw new Error('PROMPT_FILE_MISSING');
+  }
+  const promptText = fs.readFileSync(promptPath, 'utf8');
+
+  // 2. Call the configured provider(s) for one or more drafts
+  // This can fail due to network issues, API limits, etc.
+  const draftCount = options.drafts || config.drafts.count;
+  const plans = draftService.planDrafts(draftCount, options.sopOverrides, {
+    models: options.draftModels || config.drafts.models,
+    temperatures: options.draftTemperatures || config.drafts.temperatures,
+  });
+  // Each draft streams into its own checkpoint, which a failed or interrupted
+  // run leaves behind for the next one to continue from (--restart drops it).
+  const settled = await Promise.allSettled(plans.map((overrides, i) => {
+    const name = plans.length > 1 ? `sop-draft-${i + 1}` : 'sop';
+    const checkpoint = checkpointService.createCheckpoint(app, name, promptText);
+    if (options.restart) checkpoint.clear();
+    const title = `SOP${plans.length > 1 ? ` draft ${i + 1}` : ''} for ${app.candidateName} - ${app.courseName}`;
+    return sopService.generateSopFromPrompt(promptText, overrides, { checkpoint, title });
+  }));
+  // Reasoning blocks and prompt headings are stripped before anything is scored or saved.
+  const expected = expectationsFor(app, promptText);
+  const generated = settled
+    .map((outcome, i) => (outcome.status === 'fulfilled' ? { ...outcome.value, index: i + 1 } : null))
+    .filter(Boolean)
+    .map((draft) => {
+      if (!config.lint.autoStrip) return draft;
+      const { text, stripped } = lintService.clean(draft.text, expected);
+      if (stripped.length > 0) logger.info(`Draft ${draft.index}: stripped ${stripped.join(', ')}.`);
+      return { ...draft, text };
+    });
+  if (generated.length === 0) {
+    throw settled[0].reason;
+  }
+  if (generated.length < plans.length) {
+    logger.warn(`${plans.length - generated.length} of ${plans.length} drafts failed for ${app.candidateName}; ranking the rest.`);
+  }
+  // Identical drafts (cached replies, temperature 0) would be saved as one file,
+  // so they are judged and ranked once; `duplicates` lists the others.
+  const drafts = [];
+  for (const draft of generated) {
+    const same = drafts.find(other => other.text.trim() === draft.text.trim());
+    if (!same) {
+      drafts.push({ ...draft, duplicates: [] });
+      continue;
+    }
+    same.duplicates.push(draft.index);
+    logger.info(`Draft ${draft.index} is identical to draft ${same.index}; ranking it once.`);
+  }
+
+  // 3. Rank the drafts, best first (a single draft is taken as is)
+  let ranked = drafts;
+  if (drafts.length > 1) {
+    ranked = await draftService.rankDrafts(drafts, promptText, expected, { judgeOverrides: options.judgeOverrides });
+  }
+
+  // 4. Hold the best draft to the programme's requirements, trimming or
+  //    regenerating it with the settings it was written with
+  const enforced = await requirementsService.enforceRequirements(ranked[0].text, {
+    promptText,
+    requirements: expected.requirements,
+    expected,
+    sopOverrides: plans[ranked[0].index - 1],
+    judgeOverrides: options.judgeOverrides,
+  });
+  ranked[0] = { ...ranked[0], text: enforced.text, fixes: enforced.actions };
+
+  // 5. Lint and save every draft as the next version in the application's folder
+  const inputs = [workspace.toStoredPath(promptPath)];
+  const saved = new Map();
+  const lintResults = new Map();
+  for (const draft of [...ranked].sort((a, b) => a.index - b.index)) {
+    const checked = draft === ranked[0] ? { ...expected, unanswered: enforced.unanswered } : expected;
+    lintResults.set(draft, lintService.lint(draft.text, checked));
+    const meta = { provider: draft.provider, model: draft.model, params: draft.params, inputs, lint: lintResults.get(draft) };
+    if (draft.fixes && draft.fixes.length > 0) meta.fixes = draft.fixes;
+    if (draft.continuedFrom) meta.continuedFrom = draft.continuedFrom;
+    if (draft.duplicates.length > 0) meta.duplicates = draft.duplicates;
+    if (ranked.length > 1) {
+      Object.assign(meta, {
+        draft: draft.index,
+        rank: draft.rank,
+        score: draft.score,
+        heuristics: { score: draft.heuristics.score, issues: draft.heuristics.issues },
+        judge: draft.judge && { overall: draft.judge.overall, scores: draft.judge.scores, summary: draft.judge.summary },
+      });
+    }
+    saved.set(draft, artifactService.writeArtifact(app, 'sop', draft.text, { meta }));
+  }
+  if (ranked.length > 1) {
+    artifactService.writeArtifact(app, 'ranking', ranked.map(draft => ({
+      rank: draft.rank,
+      file: saved.get(draft).file,
+      drafts: [draft.index, ...draft.duplicates],
+      score: draft.score,
+      model: draft.model,
+      temperature: draft.params.temperature,
+      issues: draft.heuristics.issues,
+      judge: draft.judge && draft.judge.summary,
+    })), { ext: 'json', meta: { judge: ranked.find(draft => draft.judge)?.judge.model || null } });
+  }
+
+  const best = ranked[0];
+  const sopArtifact = saved.get(best);
+  const lint = lintResults.get(best);
+  logger.success(ranked.length > 1
+    ? `Saved ${ranked.length} drafts; best is ${sopArtifact.file} (score ${best.score}): ${sopArtifact.filePath}`
+    : `SOP saved to: ${sopArtifact.filePath} (draft v${sopArtifact.version})`);
+  lint.issues.forEach(issue => logger.warn(`${app.candidateName}: [${issue.severity}] ${issue.message}`));
+
+  if (options.output) {
+    const sopFileName = `${fileUtils.sanitizeFileName(app.courseName)}_${fileUtils.sanitizeFileName(app.universityName)}_sop.txt`;
+    fs.mkdirSync(options.output, { recursive: true });
+    fs.writeFileSync(path.join(options.output, sopFileName), best.text, 'utf8');
+  }
+
+  // 6. Return the best draft's path to be recorded, only after the files are written.
+  return { sopPath: sopArtifact.storedPath, lint };
+}
+
+// Revises the application's current SOP with reviewer feedback and saves the
+// result as the next version, plus a diff against the version it started from.
+// Returns { sopPath, lint, diff }.
+async function reviseSopForApplication(app, feedback, options = {}) {
+  logger.info(`Revising SOP for: ${app.candidateName} - ${app.courseName}`);
+
+  const sopPath = workspace.resolveStoredPath(app.stages.sop.path);
+  const promptPath = workspace.resolveStoredPath(app.stages.prompt.path);
+  if (!sopPath || !fs.existsSync(sopPath) || !promptPath || !fs.existsSync(promptPath)) {
+    throw new Error('The SOP or prompt file of this application is missing; run "doctor".');
+  }
+  const promptText = fs.readFileSync(promptPath, 'utf8');
+  const previousDraft = fs.readFileSync(sopPath, 'utf8');
+
+  const result = await sopService.reviseSop(promptText, previousDraft, feedback, options.sopOverrides);
+  const expected = expectationsFor(app, promptText);
+  const enforced = await requirementsService.enforceRequirements(
+    config.lint.autoStrip ? lintService.clean(result.text, expected).text : result.text,
+    {
+      promptText,
+      requirements: expected.requirements,
+      expected,
+      sopOverrides: options.sopOverrides,
+      judgeOverrides: options.judgeOverrides,
+      regenerate: false,
+    },
+  );
+  const { text } = enforced;
+  const lint = lintService.lint(text, { ...expected, unanswered: enforced.unanswered });
+
+  // Always a new version, even if unchanged, so it records the feedback it answers.
+  const sopArtifact = artifactService.writeArtifact(app, 'sop', text, {
+    dedupe: false,
+    meta: {
+      provider: result.provider,
+      model: result.model,
+      params: result.params,
+      inputs: [workspace.toStoredPath(promptPath), workspace.toStoredPath(sopPath)],
+      feedback,
+      lint,
+      fixes: enforced.actions.length > 0 ? enforced.actions : undefined,
+    },
+  });
+
+  const previousName = path.basename(sopPath);
+  const diff = unifiedDiff(previousDraft, text, { from: previousName, to: sopArtifact.file });
+  const diffArtifact = artifactService.writeArtifact(app, 'diff', diff.text, {
+    file: `${previousName.replace(/\.txt$/i, '')}-to-v${sopArtifact.version}.diff`,
+    meta: { from: workspace.toStoredPath(sopPath), to: sopArtifact.storedPath },
+  });
+
+  logger.success(`Revised SOP saved to: ${sopArtifact.filePath} (+${diff.added}/-${diff.removed} sentences, diff: ${diffArtifact.file})`);
+  lint.issues.forEach(issue => logger.warn(`${app.candidateName}: [${issue.severity}] ${issue.message}`));
+  return { sopPath: sopArtifact.storedPath, lint, diff: diffArtifact.storedPath };
+}
+
+// Renders a finished SOP to the requested upload formats (--format or
+// config.documents.formats). An export failure is logged but leaves the SOP done.
+async function exportIfRequested(app, options = {}) {
+  const formats = options.formats || config.documents.formats;
+  if (formats.length === 0) return;
+  try {
+    await documentService.exportSop(app, { formats, style: options.style, output: options.output });
+  } catch (error) {
+    logger.warn(`Could not export the SOP of ${app.candidateName}: ${error.message}`);
+  }
+}
+
+// Stage runners: one application at a time, recording the outcome on its
+// record and rethrowing failures. The batch functions below and the library
+// API (index.js) are built on them.
+
+// Every LLM call for an application uses its row's credential profile, or else
+// the run's (--profile).
+function withProfile(app, options) {
+  const profile = app.profile || options.profile;
+  if (!profile) return options;
+  const scoped = (overrides) => ({ ...overrides, profile });
+  return {
+    ...options,
+    metadataOverrides: scoped(options.metadataOverrides),
+    resumeOverrides: scoped(options.resumeOverrides),
+    sopOverrides: scoped(options.sopOverrides),
+    judgeOverrides: scoped(options.judgeOverrides),
+  };
+}
+
+// Returns { courseName, universityName, promptPath }.
+async function runPromptStage(app, options = {}) {
+  store.startStage(app, 'prompt');
+  try {
+    const result = await buildPromptForApplication(app, withProfile(app, options));
+    app.courseName = result.courseName;
+    app.universityName = result.universityName;
+    store.completeStage(app, 'prompt', result.promptPath);
+    return result;
+  } catch (error) {
+    // Not retried automatically: a bad course URL or resume fails the same way every time.
+    store.failStage(app, 'prompt', error);
+    throw error;
+  }
+}
+
+// Returns { sopPath, lint }; a SOP that fails lint is saved as needs_review and not exported.
+async function runSopStage(app, options = {}) {
+  store.startStage(app, 'sop');
+  let result;
+  try {
+    result = await generateSopForApplication(app, withProfile(app, options));
+  } catch (error) {
+    if (error.message === 'PROMPT_FILE_MISSING') {
+      store.failStage(app, 'sop', new Error('Prompt file not found.'), { code: 'FAILED_MISSING_PROMPT' });
+    } else {
+      store.failStage(app, 'sop', error, { retryable: true });
+    }
+    throw error;
+  }
+  if (!result.lint.passed) {
+    store.flagStage(app, 'sop', result.sopPath, result.lint.issues);
+    return result;
+  }
+  store.completeStage(app, 'sop', result.sopPath);
+  await exportIfRequested(app, options);
+  return result;
+}
+
+// Returns { sopPath, lint, diff }. A failed revision leaves the current SOP and its stage untouched.
+async function runReviseStage(app, feedback, options = {}) {
+  const result = await reviseSopForApplication(app, feedback, withProfile(app, options));
+  if (result.lint.passed) {
+    store.completeStage(app, 'sop', result.sopPath);
+    await exportIfRequested(app, options);
+  } else {
+    store.flagStage(app, 'sop', result.sopPath, result.lint.issues);
+  }
+  return result;
+}
+
+// Logs each finished row and records it for the run report; failed outcomes
+// carry the reason in `error`.
+function progressReporter(total, label) {
+  let reported = 0;
+  return (app, index, outcome, elapsedMs) => {
+    reported++;
+    logger.info(`[${label} ${reported}/${total}] ${app.candidateName || '(no name)'}: ${outcome.status}`);
+    runLog.recordOutcome({ stage: label, app, ...outcome, latencyMs: elapsedMs });
+  };
+}
+
+// What the batch functions below return: how many applications succeeded and failed.
+function tally(outcomes) {
+  const succeeded = outcomes.filter(outcome => outcome.succeeded).length;
+  return { succeeded, failed: outcomes.length - succeeded };
+}
+
+// Builds the prompt for every pending application, `options.concurrency` at a
+// time. Stage status, errors and attempts are saved to the store as each one
+// finishes. Returns { succeeded, failed } counts.
+async function generatePrompts(applications, options = {}) {
+  const pending = applications.filter((app, index) => isSelected(index, options) && needsPrompt(app));
+  if (pending.length === 0) {
+    logger.info('No new applications to process. All entries are up-to-date.');
+    return tally([]);
+  }
+
+  const outcomes = await scheduler.runOrdered(pending, async (app) => {
+    try {
+      await runPromptStage(app, options);
+      return { status: 'prompt saved', succeeded: true };
+    } catch (error) {
+      logger.error(`Failed to process application for ${app.candidateName}. Skipping.`, error.message);
+      return { status: `failed (${error.message})`, error: error.message };
+    }
+  }, {
+    concurrency: options.concurrency || config.batch.concurrency,
+    onDone: progressReporter(pending.length, 'prompts'),
+  });
+
+  const counts = tally(outcomes);
+  logger.info(`Processed ${counts.succeeded} new application(s).`);
+  return counts;
+}
+
+// Generates the SOP for every application that has a prompt but no SOP yet.
+// Transient errors (API timeouts, rate limits) that survive the provider's
+// retries are recorded as retryable, so the next run picks the row up again;
+// a missing prompt file needs the `retry` command. Returns { succeeded, failed }.
+async function generateSops(applications, options = {}) {
+  const pending = applications.filter((app, index) => isSelected(index, options) && needsSop(app));
+  if (pending.length === 0) {
+    logger.info('No new prompts to process. All SOPs seem to be generated or marked as failed.');
+    return tally([]);
+  }
+  logger.info(`Found ${pending.length} new application(s) to generate SOPs for.`);
+
+  const outcomes = await scheduler.runOrdered(pending, async (app) => {
+    try {
+      const { lint } = await runSopStage(app, options);
+      return { status: lint.passed ? 'SOP saved' : 'SOP saved, needs review', succeeded: true };
+    } catch (error) {
+      logger.error(`Failed to generate SOP for ${app.candidateName}. Skipping for this run.`);
+      if (error.message === 'PROMPT_FILE_MISSING') {
+        return { status: 'failed (prompt file missing)', error: 'Prompt file not found.' };
+      }
+      return { status: `failed, will retry next run (${error.message})`, error: error.message };
+    }
+  }, {
+    concurrency: options.concurrency || config.batch.concurrency,
+    onDone: progressReporter(pending.length, 'sops'),
+  });
+
+  const counts = tally(outcomes);
+  if (counts.succeeded > 0) {
+    logger.info(`Successfully generated and saved ${counts.succeeded} new SOP(s).`);
+  }
+  return counts;
+}
+
+// Revises the SOP of each selected application. Feedback comes from
+// `options.feedback` (the same text for every selected application) or else
+// from each record's `feedback` field, which is skipped once the current SOP
+// already is the revision for it. Returns { succeeded, failed }.
+async function reviseSops(applications, options = {}) {
+  const candidates = applications.filter((app, index) => isSelected(index, options) && store.hasArtifact(app.stages.sop));
+  const pending = candidates
+    .map(app => ({ app, feedback: (options.feedback || app.feedback || '').trim() }))
+    .filter(({ app, feedback }) => {
+      if (!feedback) return false;
+      if (options.feedback) return true;
+      const current = artifactService.latest(app, 'sop');
+      return !(current && current.feedback === feedback && app.stages.sop.path.endsWith(current.file));
+    });
+  if (pending.length === 0) {
+    logger.info('No SOPs with new feedback to revise.');
+    return tally([]);
+  }
+  const report = progressReporter(pending.length, 'revise');
+
+  const outcomes = await scheduler.runOrdered(pending, async ({ app, feedback }) => {
+    try {
+      const { lint } = await runReviseStage(app, feedback, options);
+      return { status: lint.passed ? 'revised' : 'revised, needs review', succeeded: true };
+    } catch (error) {
+      logger.error(`Failed to revise SOP for ${app.candidateName}.`, error.message);
+      return { status: `failed (${error.message})`, error: error.message };
+    }
+  }, {
+    concurrency: options.concurrency || config.batch.concurrency,
+    onDone: (item, index, outcome, elapsedMs) => report(item.app, index, outcome, elapsedMs),
+  });
+
+  return tally(outcomes);
+}
+
+// Puts failed stages back to pending so the next prompts/sops pass picks them up.
+function resetFailures(applications, options = {}) {
+  let resetCount = 0;
+  applications.forEach((app, index) => {
+    if (!isSelected(index, options)) return;
+    const failed = store.STAGES.filter(stage => app.stages[stage].status === 'failed');
+    failed.forEach(stage => store.resetStage(app, stage));
+    if (failed.length > 0) resetCount++;
+  });
+  return resetCount;
+}
+
+// Short status label for `status`, e.g. "done", "pending", "failed x2".
+function describeStage(stage) {
+  if (stage.status === 'failed') {
+    return `failed${stage.retryable ? ' (retry)' : ''} x${stage.attempts}`;
+  }
+  return stage.status;
+}
+
+module.exports = {
+  buildPromptForApplication,
+  generateSopForApplication,
+  generatePrompts,
+  generateSops,
+  reviseSopForApplication,
+  reviseSops,
+  runPromptStage,
+  runSopStage,
+  runReviseStage,
+  exportIfRequested,
+  resetFailures,
+  describeStage,
+  isSelected,
+  expectationsFor,
+};
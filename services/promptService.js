@@ -1,40 +1,72 @@
 // services/promptService.js
-function buildSOPPrompt(metadata, resumeContent) {
-  const { course, university, country, courseInfo } = metadata;
-  let resumeSection = resumeContent
-    ? `
---- My Resume Information ---
-${resumeContent}
------------------------------
+const config = require('../config');
+const degreeService = require('./degreeService');
+const guidanceService = require('./guidanceService');
+const requirementsService = require('./requirementsService');
+const templateService = require('./templateService');
+const resumeService = require('./resumeService');
 
-Now, using the above course details and my resume information, please generate a Statement of Purpose. Follow the structure below:
-`
-    : `
-Please take all the required details from the attached profile. It should be able to properly justify my course selection and align it with my past. Structure the SOP as per below:
-`;
+const joinList = (list, separator = '; ') => (Array.isArray(list) ? list.join(separator) : '');
 
-  return `
-You are a professional AI-free SOP writer who has helped hundreds of students gain admission to universities. You are highly reputed in this field for assisting students applying to universities. I will provide the student details and the guidelines for writing the SOP. Please write a SOP incorporating all the information mentioned in the guidelines. If any information is unavailable, do not assume; instead, insert a placeholder
-
-I am applying to the Master's in ${course} at ${university} in ${country}.
-
-${resumeSection}
-1st Paragraph – Introduction: Write about how the ${course} industry is growing and from where I gained initial interest. Complete the paragraph by setting the context of why I want to apply for this course at this university.
-
-2nd Paragraph – Academic Journey: Explain my academic journey starting from the 10th. Go in chronological order and explain the transitions. In case of work experience, also connect that with my past and explain why I think this is the right time to resume my academic journey. End the paragraph with “hence I decided to pursue further education.”
-
-3rd Paragraph – Why this Course: Explain why this course is good for me. Align it with my past education and experience.
-
-4th Paragraph – Why this University: Explain why ${university}. Align it with the course that I have selected.
-
-5th Paragraph – Why this Country: Explain why ${country}. Justify it in the context of this course.
+// Template variables for the programme details from metadataService. Lists are
+// joined so templates can show them inline or skip them with "when". `course`
+// is the subject without degree words; `programme` names it with its degree
+// ("the M.Sc. in ...").
+function toProgrammeVariables(metadata) {
+  const { course, degree, degreeType, programme } = degreeService.describeProgramme(metadata);
+  const facts = [
+    ['Degree', [degree, degreeType !== 'Other' && `(${degreeType})`].filter(Boolean).join(' ')],
+    ['Duration', metadata.duration],
+    ['Language of instruction', metadata.languageOfInstruction],
+    ['Intakes', joinList(metadata.intakes, ', ')],
+    ['Tuition', metadata.tuition],
+    ['Admission requirements', joinList(metadata.admissionRequirements)],
+  ];
+  return {
+    course,
+    degree,
+    degreeType,
+    programme,
+    languageOfInstruction: metadata.languageOfInstruction || '',
+    duration: metadata.duration || '',
+    intakes: joinList(metadata.intakes, ', '),
+    keyModules: joinList(metadata.keyModules),
+    researchGroups: joinList(metadata.researchGroups),
+    admissionRequirements: joinList(metadata.admissionRequirements),
+    tuition: metadata.tuition || '',
+    programmeFacts: facts.filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`).join('\n'),
+  };
+}
 
-6th Paragraph – Future Plans: Explain my plans after the completion of this course.
+// The row's template (the CSV `documentType` column or --template), else the
+// one for the programme's degree level, else config.defaultTemplate.
+function resolveTemplateName(documentType, metadata = {}) {
+  if (documentType) return documentType;
+  const { degreeType } = degreeService.describeProgramme(metadata);
+  return config.degreeTemplates[degreeType] || config.defaultTemplate;
+}
 
-7th Paragraph – Conclusion: Wrap up the SOP with a convincing statement and gratitude.
+// Renders the document template chosen for an application with the extracted
+// course metadata, the country's guidance pack, the programme's requirements
+// (requirementsService.resolveRequirements; section budgets are scaled to fit
+// its limit) and the candidate from resumeService.loadCandidate (structured
+// profile, or plain text as a fallback).
+function buildSOPPrompt(metadata, candidate, documentType, requirements = null) {
+  const { university, country, courseInfo } = metadata;
+  const templateName = resolveTemplateName(documentType, metadata);
+  const template = requirementsService.fitTemplate(templateService.loadTemplate(templateName), requirements);
+  const programme = toProgrammeVariables(metadata);
+  const guidance = guidanceService.guidanceFor(country, { degreeType: programme.degreeType, documentType: templateName });
 
-Here is the course information:\n${courseInfo}
-`;
+  return templateService.renderTemplate(template, {
+    university,
+    country,
+    courseInfo,
+    ...programme,
+    countryGuidance: guidance.map(line => `- ${line}`).join('\n'),
+    requirements: requirementsService.describeRequirements(requirements),
+    ...resumeService.toTemplateVariables(candidate),
+  });
 }
 
-module.exports = { buildSOPPrompt };
\ No newline at end of file
+module.exports = { buildSOPPrompt, resolveTemplateName, toProgrammeVariables };
@@ -0,0 +1,38 @@
+// services/providers/echoProvider.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Offline provider for dry runs and tests. It never touches the network:
+// a request whose hash matches `<fixturesDir>/<hash>.txt` gets that file back,
+// anything else gets the last user message echoed.
+function fixtureKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+function createEchoProvider({ fixturesDir, model = 'echo' }) {
+  return {
+    name: 'echo',
+    model,
+    async generate({ messages, stream }) {
+      const key = fixtureKey(messages);
+      const fixturePath = fixturesDir ? path.join(fixturesDir, `${key}.txt`) : null;
+
+      let text;
+      if (fixturePath && fs.existsSync(fixturePath)) {
+        text = fs.readFileSync(fixturePath, 'utf8');
+      } else {
+        if (fixturesDir) logger.warn(`No echo fixture for this request (expected ${fixturePath}). Echoing the prompt.`);
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        text = lastUser ? lastUser.content : '';
+      }
+
+      // Nothing to stream: the whole text arrives at once.
+      if (stream && text) stream.onToken(text);
+      return { text, usage: { promptTokens: 0, completionTokens: 0 }, raw: { fixture: key } };
+    },
+  };
+}
+
+module.exports = { createEchoProvider, fixtureKey };
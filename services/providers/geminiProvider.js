@@ -0,0 +1,104 @@
+// services/providers/geminiProvider.js
+const { postJson, postStream, compact } = require('./http');
+
+const DEFAULT_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini has no "system" role in contents; it goes into systemInstruction instead,
+// and the assistant role is called "model".
+function toGeminiRequest(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+  return system ? { systemInstruction: { parts: [{ text: system }] }, contents } : { contents };
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case type names and no
+// additionalProperties.
+function toGeminiSchema(schema) {
+  const { additionalProperties, properties, items, type, ...rest } = schema;
+  const converted = { ...rest };
+  if (type) converted.type = type.toUpperCase();
+  if (properties) {
+    converted.properties = Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (items) converted.items = toGeminiSchema(items);
+  return converted;
+}
+
+function createGeminiProvider({ apiUrl = DEFAULT_API_URL, apiKey, model }) {
+  // The key goes in a header: URLs end up in error messages and proxy logs.
+  const headers = { 'x-goog-api-key': apiKey };
+
+  function requestBody(messages, params, responseFormat) {
+    return {
+      ...toGeminiRequest(messages),
+      generationConfig: compact({
+        temperature: params.temperature,
+        topK: params.topK,
+        topP: params.topP,
+        maxOutputTokens: params.maxTokens,
+        responseMimeType: responseFormat ? 'application/json' : undefined,
+        responseSchema: responseFormat ? toGeminiSchema(responseFormat.schema) : undefined,
+      }),
+    };
+  }
+
+  // streamGenerateContent with alt=sse sends one partial response per event;
+  // the last one carries the usage totals. An error after text has arrived
+  // carries it as `partialText`.
+  async function generateStreaming(messages, params, responseFormat, stream) {
+    let text = '';
+    let usageMetadata = {};
+    try {
+      await postStream(`${apiUrl}/${model}:streamGenerateContent?alt=sse`, {
+        label: 'Gemini',
+        headers,
+        body: requestBody(messages, params, responseFormat),
+        idleTimeoutMs: stream.idleTimeoutMs,
+        onData: (data) => {
+          const event = JSON.parse(data);
+          const delta = (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+          if (delta) {
+            text += delta;
+            stream.onToken(delta);
+          }
+          if (event.usageMetadata) usageMetadata = event.usageMetadata;
+        },
+      });
+    } catch (error) {
+      if (text) error.partialText = text;
+      throw error;
+    }
+    return {
+      text,
+      usage: { promptTokens: usageMetadata.promptTokenCount, completionTokens: usageMetadata.candidatesTokenCount },
+      raw: { streamed: true, usageMetadata },
+    };
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    async generate({ messages, params = {}, responseFormat, stream }) {
+      if (stream) return generateStreaming(messages, params, responseFormat, stream);
+      const raw = await postJson(`${apiUrl}/${model}:generateContent`, {
+        label: 'Gemini',
+        headers,
+        body: requestBody(messages, params, responseFormat),
+      });
+
+      return {
+        text: raw?.candidates?.[0]?.content?.parts?.[0]?.text || '',
+        usage: {
+          promptTokens: raw?.usageMetadata?.promptTokenCount,
+          completionTokens: raw?.usageMetadata?.candidatesTokenCount,
+        },
+        raw,
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,103 @@
+// services/providers/http.js
+
+// Shared POST helper for every HTTP-backed provider, so request building and
+// error reporting look the same whichever backend is configured.
+async function postJson(url, { headers = {}, body, label }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw await requestError(response, label);
+  }
+
+  return response.json();
+}
+
+async function requestError(response, label) {
+  const errorBody = await response.text();
+  const error = new Error(`${label} API request failed: ${response.status} - ${errorBody}`);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'), errorBody);
+  return error;
+}
+
+// POSTs a request answered with server-sent events and calls onData(data) with
+// the data of each event, until the stream ends or sends "[DONE]". A stream
+// that sends nothing for idleTimeoutMs (connecting included) is aborted; that
+// error is retryable like a network timeout.
+async function postStream(url, { headers = {}, body, label, onData, idleTimeoutMs = 0 }) {
+  const controller = new AbortController();
+  let timer = null;
+  const resetTimer = () => {
+    if (!idleTimeoutMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), idleTimeoutMs);
+  };
+
+  try {
+    resetTimer();
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw await requestError(response, label);
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      resetTimer();
+      buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const event = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        // Lines starting with ":" are keep-alive comments.
+        const data = event.split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (!data) continue;
+        if (data === '[DONE]') return;
+        onData(data);
+      }
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      // undici reports a connection dropped mid-stream as just "terminated".
+      if (error.name === 'TypeError' && error.message === 'terminated') error.message = `${label} stream was cut off by the server.`;
+      throw error;
+    }
+    const stalled = new Error(`${label} stream stalled: no data for ${Math.round(idleTimeoutMs / 1000)}s.`);
+    stalled.cause = { code: 'ETIMEDOUT' };
+    throw stalled;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Retry-After is either seconds or an HTTP date. Gemini puts its hint in the
+// error body instead ("retryDelay": "37s").
+function parseRetryAfter(header, body) {
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(body || '');
+  return match ? Math.ceil(parseFloat(match[1]) * 1000) : undefined;
+}
+
+// Drops undefined values so optional sampling params are left to the API's defaults.
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+module.exports = { postJson, postStream, compact };
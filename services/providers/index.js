@@ -0,0 +1,30 @@
+// services/providers/index.js
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenRouterProvider } = require('./openRouterProvider');
+const { createOpenAICompatibleProvider } = require('./openAICompatibleProvider');
+const { createEchoProvider } = require('./echoProvider');
+
+// Every adapter returns the same shape:
+//   { name, model, generate({ messages, params, responseFormat, stream }) -> { text, usage, raw } }
+// where messages are { role: 'system' | 'user' | 'assistant', content },
+// params are { temperature, maxTokens, topK, topP } and the optional
+// responseFormat is { name, schema } asking for JSON matching a JSON schema.
+// With the optional stream ({ onToken(text), idleTimeoutMs }) the reply is
+// streamed and each piece passed to onToken as it arrives; an error after
+// some text arrived carries that text as error.partialText.
+const adapters = {
+  gemini: createGeminiProvider,
+  openrouter: createOpenRouterProvider,
+  openai: createOpenAICompatibleProvider,
+  echo: createEchoProvider,
+};
+
+function createProvider(spec) {
+  const factory = adapters[spec.type];
+  if (!factory) {
+    throw new Error(`Unknown provider type "${spec.type}". Available types: ${Object.keys(adapters).join(', ')}.`);
+  }
+  return factory(spec);
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,91 @@
+// services/providers/openAICompatibleProvider.js
+const { postJson, postStream, compact } = require('./http');
+
+// Works with any /v1/chat/completions endpoint: OpenAI, OpenRouter,
+// a local Ollama (`ollama serve`) or llama.cpp server.
+// top_k is only sent with `supportsTopK`: the OpenAI API rejects unknown parameters.
+function createOpenAICompatibleProvider({ name = 'openai', label = 'OpenAI-compatible', apiUrl, apiKey, model, headers = {}, supportsTopK = false }) {
+  if (!apiUrl) {
+    throw new Error(`Provider "${name}" needs an apiUrl pointing at a chat/completions endpoint.`);
+  }
+
+  const requestHeaders = compact({
+    Authorization: apiKey ? `Bearer ${apiKey}` : undefined,
+    ...headers,
+  });
+
+  function requestBody(messages, params, responseFormat) {
+    return compact({
+      model,
+      messages,
+      temperature: params.temperature,
+      top_p: params.topP,
+      top_k: supportsTopK ? params.topK : undefined,
+      max_tokens: params.maxTokens,
+      response_format: responseFormat
+        ? { type: 'json_schema', json_schema: { name: responseFormat.name, strict: true, schema: responseFormat.schema } }
+        : undefined,
+    });
+  }
+
+  // Streams the reply as server-sent events, passing each piece of text to
+  // stream.onToken. An error after text has arrived carries it as `partialText`.
+  async function generateStreaming(messages, params, responseFormat, stream) {
+    let text = '';
+    let usage = {};
+    try {
+      await postStream(apiUrl, {
+        label,
+        headers: requestHeaders,
+        body: { ...requestBody(messages, params, responseFormat), stream: true, stream_options: { include_usage: true } },
+        idleTimeoutMs: stream.idleTimeoutMs,
+        onData: (data) => {
+          const event = JSON.parse(data);
+          if (event.error) {
+            const error = new Error(`${label} stream failed: ${event.error.message || JSON.stringify(event.error)}`);
+            if (Number.isInteger(event.error.code)) error.status = event.error.code;
+            throw error;
+          }
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            stream.onToken(delta);
+          }
+          if (event.usage) usage = event.usage;
+        },
+      });
+    } catch (error) {
+      if (text) error.partialText = text;
+      throw error;
+    }
+    return {
+      text,
+      usage: { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens },
+      raw: { streamed: true, usage },
+    };
+  }
+
+  return {
+    name,
+    model,
+    async generate({ messages, params = {}, responseFormat, stream }) {
+      if (stream) return generateStreaming(messages, params, responseFormat, stream);
+      const raw = await postJson(apiUrl, {
+        label,
+        headers: requestHeaders,
+        body: requestBody(messages, params, responseFormat),
+      });
+
+      return {
+        text: raw?.choices?.[0]?.message?.content || '',
+        usage: {
+          promptTokens: raw?.usage?.prompt_tokens,
+          completionTokens: raw?.usage?.completion_tokens,
+        },
+        raw,
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,19 @@
+// services/providers/openRouterProvider.js
+const { createOpenAICompatibleProvider } = require('./openAICompatibleProvider');
+
+const DEFAULT_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+// OpenRouter speaks the OpenAI protocol but wants attribution headers.
+function createOpenRouterProvider({ apiUrl = DEFAULT_API_URL, apiKey, model, httpReferer, siteName, supportsTopK = true }) {
+  return createOpenAICompatibleProvider({
+    name: 'openRouter',
+    label: 'OpenRouter',
+    apiUrl,
+    apiKey,
+    model,
+    supportsTopK,
+    headers: { 'HTTP-Referer': httpReferer, 'X-Title': siteName },
+  });
+}
+
+module.exports = { createOpenRouterProvider };
@@ -0,0 +1,261 @@
+// services/requirementsService.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const fileUtils = require('../utils/fileUtils');
+const workspace = require('../utils/workspace');
+const { validate, extractJson } = require('../utils/schema');
+const llmService = require('./llmService');
+const lintService = require('./lintService');
+const sopService = require('./sopService');
+
+// A programme's own rules for the document, one JSON file per programme in
+// config.paths.requirements, named "<course>_<university>.json":
+//   {
+//     "course": "Computer Science",
+//     "university": "TU Dresden",
+//     "source": "extracted",          // or "manual"
+//     "wordLimit": 1000,              // 0: no limit
+//     "characterLimit": 0,
+//     "questions": [ "Why this programme?", "What are your research interests?" ],
+//     "format": [ "One page", "PDF" ]
+//   }
+// The file is written from the extracted course metadata the first time a
+// programme states any rule, and is never overwritten, so it can be corrected
+// or written by hand. The rules are rendered into the prompt as
+// {{requirements}} and enforced after generation by enforceRequirements().
+
+const words = (text) => text.split(/\s+/).filter(Boolean);
+// Rough English average including spaces, to turn a character limit into word budgets.
+const CHARACTERS_PER_WORD = 6.5;
+
+function requirementsFile(metadata) {
+  const name = `${fileUtils.sanitizeFileName(metadata.course)}_${fileUtils.sanitizeFileName(metadata.university)}.json`;
+  return path.join(config.paths.requirements, name);
+}
+
+const toLimit = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Math.floor(Number(value)) : 0);
+const toList = (value) => (Array.isArray(value) ? value : [value]).map(item => String(item || '').trim()).filter(Boolean);
+
+function normalize(data = {}) {
+  return {
+    wordLimit: toLimit(data.wordLimit),
+    characterLimit: toLimit(data.characterLimit),
+    questions: toList(data.questions || []),
+    format: toList(data.format || []),
+  };
+}
+
+const isEmpty = (requirements) => !requirements.wordLimit && !requirements.characterLimit
+  && requirements.questions.length === 0 && requirements.format.length === 0;
+
+// The rules for a programme: its file in config.paths.requirements, or else the
+// ones extracted from the course page (metadata.requirements), which are saved
+// as that file. Returns { wordLimit, characterLimit, questions, format, source,
+// file } or null when the programme states none.
+function resolveRequirements(metadata) {
+  const file = requirementsFile(metadata);
+  if (fs.existsSync(file)) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Requirements file ${file} is not valid JSON: ${error.message}`);
+    }
+    const requirements = normalize(data);
+    return isEmpty(requirements) ? null : { ...requirements, source: data.source || 'manual', file: workspace.toStoredPath(file) };
+  }
+
+  const extracted = normalize(metadata.requirements);
+  if (isEmpty(extracted)) return null;
+  fs.mkdirSync(config.paths.requirements, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    course: metadata.course,
+    university: metadata.university,
+    source: 'extracted',
+    ...extracted,
+  }, null, 2), 'utf8');
+  logger.info(`Saved the programme's requirements to ${file}; edit it to correct them.`);
+  return { ...extracted, source: 'extracted', file: workspace.toStoredPath(file) };
+}
+
+// The word limit to plan section budgets against: the word limit, or the
+// character limit in words, whichever is stricter.
+function effectiveWordLimit(requirements) {
+  const limits = [
+    requirements.wordLimit,
+    requirements.characterLimit && Math.floor(requirements.characterLimit / CHARACTERS_PER_WORD),
+  ].filter(Boolean);
+  return limits.length > 0 ? Math.min(...limits) : 0;
+}
+
+// Scales the template's section budgets down when together they exceed the
+// programme's limit, so the prompt does not ask for more than is allowed.
+function fitTemplate(template, requirements) {
+  const limit = requirements && effectiveWordLimit(requirements);
+  const budgets = (template.sections || []).map(section => section.words).filter(Boolean);
+  if (!limit || budgets.length === 0) return template;
+  const total = budgets.reduce((sum, budget) => sum + (Array.isArray(budget) ? budget[1] : budget), 0);
+  if (total <= limit) return template;
+
+  const factor = limit / total;
+  const scale = (n) => Math.max(10, Math.floor((n * factor) / 5) * 5);
+  return {
+    ...template,
+    sections: template.sections.map(section => (section.words
+      ? { ...section, words: Array.isArray(section.words) ? section.words.map(scale) : scale(section.words) }
+      : section)),
+  };
+}
+
+// The {{requirements}} template variable: one "- " line per rule.
+function describeRequirements(requirements) {
+  if (!requirements) return '';
+  const lines = [];
+  if (requirements.wordLimit) lines.push(`The whole document must not exceed ${requirements.wordLimit} words.`);
+  if (requirements.characterLimit) lines.push(`The whole document must not exceed ${requirements.characterLimit} characters, including spaces.`);
+  if (requirements.questions.length > 0) {
+    lines.push('It must answer each of these questions explicitly, in the paragraph where it fits best:\n'
+      + requirements.questions.map((question, i) => `  ${i + 1}. ${question}`).join('\n'));
+  }
+  requirements.format.forEach(rule => lines.push(`Format: ${rule}`));
+  return lines.map(line => `- ${line}`).join('\n');
+}
+
+// How far the text is over a limit: { count, limit, unit } or null.
+function overLimit(text, requirements) {
+  const wordCount = words(text).length;
+  if (requirements.wordLimit && wordCount > requirements.wordLimit) {
+    return { count: wordCount, limit: requirements.wordLimit, unit: 'words' };
+  }
+  if (requirements.characterLimit && text.length > requirements.characterLimit) {
+    return { count: text.length, limit: requirements.characterLimit, unit: 'characters' };
+  }
+  return null;
+}
+
+const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answered: { type: 'array', items: { type: 'boolean' }, description: 'One entry per question, in order.' },
+  },
+  required: ['answered'],
+  additionalProperties: false,
+};
+
+// The required questions the text does not answer, judged by the judge task.
+// A failed check is logged and treated as all answered, so it never blocks a SOP.
+async function findUnanswered(text, questions, overrides = {}) {
+  if (questions.length === 0 || !config.requirements.checkQuestions) return [];
+  const prompt = `
+    Below are the questions a university requires an application statement to answer, and the statement.
+    For each question, decide whether the statement answers it explicitly and specifically; a passing mention does not count.
+    Return the output as a single, minified, valid JSON object with no other text before or after it:
+    {"answered":[<true or false for question 1>, ...]}
+
+    Questions:
+${questions.map((question, i) => `    ${i + 1}. ${question}`).join('\n')}
+
+    Statement:
+    ---
+    ${text}
+    ---
+  `;
+  try {
+    const result = await llmService.complete('judge', [{ role: 'user', content: prompt }], {
+      ...overrides,
+      responseFormat: { name: 'question_check', schema: ANSWER_SCHEMA },
+    });
+    let data;
+    try {
+      data = extractJson(result.text);
+    } catch (error) {
+      llmService.forget(result.cacheKey);
+      throw error;
+    }
+    const errors = validate(data, ANSWER_SCHEMA);
+    if (errors.length === 0 && data.answered.length !== questions.length) {
+      errors.push(`expected ${questions.length} answers, got ${data.answered.length}`);
+    }
+    if (errors.length > 0) {
+      llmService.forget(result.cacheKey);
+      throw new Error(errors.join('; '));
+    }
+    return questions.filter((question, i) => !data.answered[i]);
+  } catch (error) {
+    logger.warn(`Could not check the required questions; assuming they are answered. ${error.message}`);
+    return [];
+  }
+}
+
+function trimRequest({ count, limit, unit }) {
+  return `The SOP has ${count} ${unit}, but the programme allows at most ${limit}. `
+    + `Shorten it to at most ${Math.floor(limit * 0.95)} ${unit} by cutting the least important details, `
+    + 'keeping every paragraph and the answers to the required questions.';
+}
+
+function answerRequest(unanswered) {
+  return 'The SOP does not answer these questions, which the programme requires:\n'
+    + `${unanswered.map(question => `- ${question}`).join('\n')}\n`
+    + 'Answer each of them explicitly in the paragraph where it fits best.';
+}
+
+function answerReminder(unanswered) {
+  return '\nA previous draft did not answer these required questions. Answer each of them explicitly this time:\n'
+    + `${unanswered.map(question => `- ${question}`).join('\n')}\n`;
+}
+
+// Checks a generated SOP against the programme's requirements and fixes what it
+// breaks, up to config.requirements.fixAttempts times: a SOP that skips a
+// required question is regenerated from the prompt with a reminder, one that is
+// only too long is sent back to be trimmed. With `regenerate: false` (revisions,
+// whose reviewer changes must survive) missing answers are asked for as a
+// further revision instead. Returns { text, actions, unanswered },
+// where `actions` describes each fix and `unanswered` lists the questions still
+// not answered (lintService.lint reports them, and any remaining overrun).
+async function enforceRequirements(text, { promptText, requirements, expected = {}, sopOverrides = {}, judgeOverrides = {}, regenerate = true }) {
+  if (!requirements) return { text, actions: [], unanswered: [] };
+  const attempts = config.requirements.fixAttempts;
+  const clean = (draft) => (config.lint.autoStrip ? lintService.clean(draft, expected).text : draft);
+  const actions = [];
+  let current = text;
+
+  for (let attempt = 1; ; attempt++) {
+    const unanswered = await findUnanswered(current, requirements.questions, judgeOverrides);
+    const overrun = overLimit(current, requirements);
+    if ((!overrun && unanswered.length === 0) || attempt > attempts) {
+      return { text: current, actions, unanswered };
+    }
+
+    if (unanswered.length > 0 && !regenerate) {
+      logger.info(`The SOP skips ${unanswered.length} required question(s); asking for them (${attempt}/${attempts}).`);
+      const result = await sopService.reviseSop(promptText, current, answerRequest(unanswered), sopOverrides);
+      actions.push(`revised: did not answer ${unanswered.map(question => `"${question}"`).join(', ')}`);
+      current = clean(result.text);
+    } else if (unanswered.length > 0) {
+      logger.info(`The SOP skips ${unanswered.length} required question(s); regenerating it (${attempt}/${attempts}).`);
+      const result = await sopService.generateSopFromPrompt(promptText + answerReminder(unanswered), {
+        ...sopOverrides,
+        cacheTag: `requirements-${attempt}`,
+      });
+      actions.push(`regenerated: did not answer ${unanswered.map(question => `"${question}"`).join(', ')}`);
+      current = clean(result.text);
+    } else {
+      logger.info(`The SOP has ${overrun.count} ${overrun.unit} for a limit of ${overrun.limit}; trimming it (${attempt}/${attempts}).`);
+      const result = await sopService.reviseSop(promptText, current, trimRequest(overrun), sopOverrides);
+      actions.push(`trimmed: ${overrun.count} ${overrun.unit} for a limit of ${overrun.limit}`);
+      current = clean(result.text);
+    }
+  }
+}
+
+module.exports = {
+  requirementsFile,
+  resolveRequirements,
+  fitTemplate,
+  describeRequirements,
+  overLimit,
+  findUnanswered,
+  enforceRequirements,
+};
@@ -0,0 +1,306 @@
+// services/resumeService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const fileUtils = require('../utils/fileUtils');
+const llmService = require('./llmService');
+
+// Bump when the extraction prompt or profile shape changes so cached profiles are rebuilt.
+const PROFILE_VERSION = 1;
+
+// "3", "Page 3", "3 / 4", "Page 3 of 4" - but not a bare year like "2016".
+const PAGE_NUMBER = /^(page\s*\d+(\s*(of|\/)\s*\d+)?|\d+\s*(of|\/)\s*\d+|\d{1,2})$/i;
+
+// pdf-parse output is full of hard line wraps, page numbers and running
+// headers/footers. This tidies it enough for the LLM to read it reliably.
+function cleanResumeText(text) {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\f/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim());
+
+  // Short lines repeated on every page are running headers/footers.
+  const counts = {};
+  lines.forEach(line => { if (line) counts[line] = (counts[line] || 0) + 1; });
+  const isRepeated = (line) => line.length < 60 && counts[line] >= 3;
+
+  const kept = [];
+  for (const line of lines) {
+    if (PAGE_NUMBER.test(line) || isRepeated(line)) continue;
+
+    const previous = kept[kept.length - 1];
+    // A line starting in lower case continues the previous one, unless that one ended a sentence.
+    if (previous && line && /^[a-z(]/.test(line) && !/[.:;!?]$/.test(previous)) {
+      kept[kept.length - 1] = `${previous} ${line}`;
+    } else {
+      kept.push(line);
+    }
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function buildExtractionPrompt(resumeText) {
+  return `
+    Extract a structured candidate profile from the resume below.
+    Return the output as a single, minified, valid JSON object with no other text before or after it.
+    Use exactly these keys, with an empty array when nothing applies:
+
+    - "name": The candidate's full name.
+    - "education": Array of { "level", "qualification", "institution", "field", "start", "end", "grade" }.
+      "level" is one of "10th", "12th", "Diploma", "Bachelor's", "Master's", "PhD", "Other".
+      Dates as written on the resume; list every stage from secondary school onwards.
+    - "workExperience": Array of { "role", "organization", "start", "end", "summary" }.
+    - "publications": Array of { "title", "venue", "year" }.
+    - "skills": Array of strings.
+    - "testScores": Array of { "test", "score", "date" } (IELTS, TOEFL, GRE, GATE, language certificates...).
+    - "projects": Array of { "title", "summary" }.
+
+    Do not invent anything that is not in the resume.
+
+    Resume:
+    ---
+    ${resumeText}
+    ---
+  `;
+}
+
+const EDUCATION_ORDER = ['10th', '12th', 'Diploma', "Bachelor's", "Master's", 'PhD', 'Other'];
+
+// Years are the most reliable sort key on resumes; fall back to the usual level order.
+function yearOf(value) {
+  const match = String(value || '').match(/(19|20)\d{2}/g);
+  return match ? parseInt(match[match.length - 1], 10) : null;
+}
+
+function sortEducation(education) {
+  return [...education].sort((a, b) => {
+    const yearA = yearOf(a.end) ?? yearOf(a.start);
+    const yearB = yearOf(b.end) ?? yearOf(b.start);
+    if (yearA !== null && yearB !== null && yearA !== yearB) return yearA - yearB;
+    return EDUCATION_ORDER.indexOf(a.level) - EDUCATION_ORDER.indexOf(b.level);
+  });
+}
+
+function normalizeProfile(data) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  return {
+    name: data.name || '',
+    education: sortEducation(list(data.education)),
+    workExperience: list(data.workExperience),
+    publications: list(data.publications),
+    skills: list(data.skills).map(String),
+    testScores: list(data.testScores),
+    projects: list(data.projects),
+  };
+}
+
+async function extractProfile(resumeText, overrides = {}) {
+  const result = await llmService.complete('resume', [{ role: 'user', content: buildExtractionPrompt(resumeText) }], overrides);
+  try {
+    const cleanedJsonString = result.text.replace(/```json/g, '').replace(/```/g, '').trim();
+    return normalizeProfile(JSON.parse(cleanedJsonString));
+  } catch (error) {
+    llmService.forget(result.cacheKey);
+    throw error;
+  }
+}
+
+function profileCachePath(resumeFile) {
+  return path.join(config.paths.profiles, `${fileUtils.sanitizeFileName(resumeFile)}.json`);
+}
+
+// Profiles are cached per resume file and rebuilt when the resume text changes.
+// Like the page and LLM caches, this one is skipped with --no-cache.
+async function getCandidateProfile(resumeFile, resumeText, overrides = {}) {
+  const sourceHash = crypto.createHash('sha256').update(`${PROFILE_VERSION}:${resumeText}`).digest('hex');
+  const cachePath = profileCachePath(resumeFile);
+
+  if (config.cache.enabled && fs.existsSync(cachePath)) {
+    const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (cached.sourceHash === sourceHash) {
+      logger.info(`Using cached profile for resume: ${resumeFile}`);
+      return cached.profile;
+    }
+  }
+
+  logger.info(`Extracting structured profile from resume: ${resumeFile}`);
+  const profile = await extractProfile(resumeText, overrides);
+  if (!config.cache.enabled) return profile;
+
+  fs.mkdirSync(config.paths.profiles, { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify({ resumeFile, sourceHash, extractedAt: new Date().toISOString(), profile }, null, 2), 'utf8');
+  return profile;
+}
+
+// Reads a resume and turns it into { text, profile }. `profile` is null when
+// extraction fails; callers then fall back to the cleaned text.
+async function loadCandidate(resumeFile, overrides = {}) {
+  const rawText = await fileUtils.readResumeContent(resumeFile);
+  if (!rawText) return null;
+
+  const text = cleanResumeText(rawText);
+  try {
+    const profile = await getCandidateProfile(resumeFile, text, overrides);
+    return { text, profile };
+  } catch (error) {
+    logger.warn(`Could not build a structured profile for ${resumeFile}; using the resume text instead. ${error.message}`);
+    return { text, profile: null };
+  }
+}
+
+// --- Formatting for prompts ---
+
+const joinParts = (...parts) => parts.map(part => (part || '').toString().trim()).filter(Boolean).join(', ');
+
+function formatDates(item) {
+  if (!item.start && !item.end) return '';
+  return `${item.start || '?'} – ${item.end || 'present'}`;
+}
+
+function formatEducation(education = []) {
+  return education
+    .map((e, i) => `${i + 1}. ${e.level || 'Education'}: ${joinParts(e.qualification, e.field, e.institution, formatDates(e), e.grade && `grade ${e.grade}`)}`)
+    .join('\n');
+}
+
+function formatWorkExperience(work = []) {
+  return work
+    .map(w => `- ${joinParts(w.role, w.organization, formatDates(w))}${w.summary ? `: ${w.summary}` : ''}`)
+    .join('\n');
+}
+
+function formatPublications(publications = []) {
+  return publications.map(p => `- ${joinParts(p.title, p.venue, p.year)}`).join('\n');
+}
+
+function formatTestScores(scores = []) {
+  return scores.map(s => `- ${joinParts(s.test, s.score, s.date)}`).join('\n');
+}
+
+function formatProjects(projects = []) {
+  return projects.map(p => `- ${p.title}${p.summary ? `: ${p.summary}` : ''}`).join('\n');
+}
+
+// Template variables for a candidate. `resume` is the full profile as text;
+// the individual sections are exposed too so templates can make sections
+// conditional on them (e.g. "when": "publications").
+const EMPTY_VARIABLES = {
+  resume: '', candidateName: '', education: '', workExperience: '', publications: '', skills: '', testScores: '', projects: '',
+};
+
+function toTemplateVariables(candidate) {
+  if (!candidate) return EMPTY_VARIABLES;
+  if (!candidate.profile) return { ...EMPTY_VARIABLES, resume: candidate.text };
+
+  const { profile } = candidate;
+  const sections = {
+    education: formatEducation(profile.education),
+    workExperience: formatWorkExperience(profile.workExperience),
+    publications: formatPublications(profile.publications),
+    skills: profile.skills.join(', '),
+    testScores: formatTestScores(profile.testScores),
+    projects: formatProjects(profile.projects),
+  };
+
+  const headings = {
+    education: 'Education (chronological, earliest first)',
+    workExperience: 'Work Experience',
+    publications: 'Publications',
+    skills: 'Skills',
+    testScores: 'Test Scores',
+    projects: 'Projects',
+  };
+  const resume = [
+    profile.name && `Name: ${profile.name}`,
+    ...Object.entries(sections).filter(([, value]) => value).map(([key, value]) => `${headings[key]}:\n${value}`),
+  ].filter(Boolean).join('\n\n');
+
+  return { resume, candidateName: profile.name, ...sections };
+}
+
+// --- Compression for small context windows ---
+
+const SUMMARY_CHARS = 200;
+
+const relevanceOf = (text, keywords) => {
+  const found = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return found.filter(word => keywords.has(word)).length;
+};
+
+// First sentence, or the first SUMMARY_CHARS characters.
+function shorten(summary) {
+  if (!summary || summary.length <= SUMMARY_CHARS) return summary;
+  const sentence = summary.match(/^[\s\S]*?[.!?](?=\s|$)/);
+  return sentence && sentence[0].length <= SUMMARY_CHARS ? sentence[0] : `${summary.slice(0, SUMMARY_CHARS).trim()}…`;
+}
+
+// Shrinks a candidate until fits(candidate) is true: long work and project
+// summaries are cut to their first sentence, then skills, projects,
+// publications and jobs are dropped, least relevant first (relevance is the
+// number of `keywords` an entry contains; a Set of lower-case words). Education
+// and test scores are always kept. Without a profile, the least relevant lines
+// of the resume text are dropped instead. Returns { candidate, removed } where
+// `removed` describes what was left out; the result may still not fit.
+function compressCandidate(candidate, { keywords = new Set(), fits }) {
+  if (!candidate.profile) {
+    const lines = candidate.text.split('\n').map((line, index) => ({ line, index, score: relevanceOf(line, keywords) }));
+    // Least relevant first; among equals, later lines first.
+    const removable = lines
+      .filter(({ line }) => line.trim() && !/:$/.test(line.trim()))
+      .sort((a, b) => a.score - b.score || b.index - a.index);
+    const dropped = new Set();
+    let current = candidate;
+    for (const entry of removable) {
+      if (fits(current)) break;
+      dropped.add(entry.index);
+      current = { ...candidate, text: lines.filter(({ index }) => !dropped.has(index)).map(({ line }) => line).join('\n') };
+    }
+    return { candidate: current, removed: dropped.size > 0 ? [`${dropped.size} resume line(s)`] : [] };
+  }
+
+  const profile = JSON.parse(JSON.stringify(candidate.profile));
+  const current = { ...candidate, profile };
+  const removed = [];
+
+  let shortened = 0;
+  for (const item of [...profile.workExperience, ...profile.projects]) {
+    const summary = shorten(item.summary);
+    if (summary !== item.summary) {
+      item.summary = summary;
+      shortened++;
+    }
+  }
+  if (shortened > 0) removed.push(`the end of ${shortened} long description(s)`);
+
+  const entries = [
+    ...profile.skills.map(item => ({ section: 'skills', item, text: item })),
+    ...profile.projects.map(item => ({ section: 'projects', item, text: `${item.title} ${item.summary}` })),
+    ...profile.publications.map(item => ({ section: 'publications', item, text: `${item.title} ${item.venue}` })),
+    ...profile.workExperience.map(item => ({ section: 'workExperience', item, text: `${item.role} ${item.organization} ${item.summary}` })),
+  ].map(entry => ({ ...entry, score: relevanceOf(entry.text, keywords) }));
+  // Sorting is stable, so among equally relevant entries skills go first and jobs last.
+  entries.sort((a, b) => a.score - b.score);
+
+  const counts = {};
+  for (const entry of entries) {
+    if (fits(current)) break;
+    profile[entry.section] = profile[entry.section].filter(item => item !== entry.item);
+    counts[entry.section] = (counts[entry.section] || 0) + 1;
+  }
+  const labels = { skills: 'skill(s)', projects: 'project(s)', publications: 'publication(s)', workExperience: 'job(s)' };
+  Object.entries(counts).forEach(([section, count]) => removed.push(`${count} ${labels[section]}`));
+  return { candidate: current, removed };
+}
+
+module.exports = {
+  cleanResumeText,
+  compressCandidate,
+  extractProfile,
+  getCandidateProfile,
+  loadCandidate,
+  toTemplateVariables,
+};
@@ -0,0 +1,98 @@
+// services/sopService.js
+const logger = require('../utils/logger');
+const liveOutput = require('../utils/liveOutput');
+const llmService = require('./llmService');
+
+const CONTINUE_REQUEST = 'Your reply above was cut off. Continue the SOP exactly where it stops, '
+  + 'without repeating anything already written and without any preamble.';
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// The partial text up to its last finished sentence (or else word), so a
+// continuation never starts in the middle of one.
+function resumePoint(text) {
+  const sentence = text.match(/^[\s\S]*[.!?]["'”)]?(?=\s|$)/);
+  if (sentence) return sentence[0];
+  const word = text.match(/^[\s\S]*\S(?=\s)/);
+  return word ? word[0] : text;
+}
+
+function joinContinuation(prefix, continuation) {
+  if (!prefix) return continuation;
+  return /^\s/.test(continuation) ? prefix + continuation : `${prefix} ${continuation}`;
+}
+
+// Returns the llmService result: { text, provider, model, params, usage, ... }.
+// With a checkpoint (checkpointService.createCheckpoint) the reply is streamed,
+// shown live under `title` and saved as it arrives. If the checkpoint already
+// holds text for this prompt, the model is asked to continue from there and
+// `continuedFrom` is the number of words that were kept.
+async function generateSopFromPrompt(promptText, overrides = {}, { checkpoint, title } = {}) {
+  const saved = checkpoint && checkpoint.saved();
+  const prefix = saved ? resumePoint(saved.text) : '';
+  const messages = [{ role: 'user', content: promptText }];
+  if (prefix) {
+    logger.info(`Continuing from the partial SOP in ${checkpoint.storedPath} (${countWords(prefix)} words).`);
+    messages.push({ role: 'assistant', content: prefix }, { role: 'user', content: CONTINUE_REQUEST });
+  }
+
+  const { provider, model } = llmService.resolveModel('sop', overrides);
+  const live = checkpoint ? liveOutput.open(`${title || 'SOP'} (${provider} ${model})`) : null;
+  let received = '';
+  // The text kept from the partial is shown with the first new text.
+  const show = (text) => live.write(received ? text : joinContinuation(prefix, text));
+  const onToken = (text) => {
+    show(text);
+    received += text;
+    checkpoint.update(joinContinuation(prefix, received), { provider, model });
+  };
+
+  try {
+    const result = await llmService.complete('sop', messages, checkpoint ? { ...overrides, onToken } : overrides);
+    if (live) {
+      // Cached replies and providers that don't stream arrive whole.
+      if (!received) show(result.text);
+      live.close();
+    }
+    if (checkpoint) checkpoint.clear();
+    logger.success('SOP content successfully extracted from API response.');
+    return prefix
+      ? { ...result, text: joinContinuation(prefix, result.text), continuedFrom: countWords(prefix) }
+      : result;
+  } catch (error) {
+    if (live) live.close();
+    if (checkpoint && received) {
+      checkpoint.update(joinContinuation(prefix, received), { provider, model });
+      checkpoint.flush();
+      logger.warn(`Saved ${countWords(joinContinuation(prefix, received))} words of partial output to ${checkpoint.storedPath}; `
+        + 'the next run continues from there (--restart to start over).');
+    }
+    logger.error('An error occurred while generating the SOP.', error);
+    throw error; // Re-throw to be handled by the main process
+  }
+}
+
+// Continues the original conversation: the prompt, the previous draft as the
+// model's own reply, then the reviewer's feedback.
+async function reviseSop(promptText, previousDraft, feedback, overrides = {}) {
+  const messages = [
+    { role: 'user', content: promptText },
+    { role: 'assistant', content: previousDraft },
+    {
+      role: 'user',
+      content: `Revise the SOP above according to this reviewer feedback:\n\n${feedback}\n\n`
+        + 'Keep everything the feedback does not ask to change, keep the structure and word budgets of the original instructions, '
+        + 'and return only the full revised SOP, with no headings or commentary.',
+    },
+  ];
+  try {
+    const result = await llmService.complete('sop', messages, overrides);
+    logger.success('Revised SOP received.');
+    return result;
+  } catch (error) {
+    logger.error('An error occurred while revising the SOP.', error);
+    throw error;
+  }
+}
+
+module.exports = { generateSopFromPrompt, reviseSop };
@@ -0,0 +1,103 @@
+// services/templateService.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// A template is a JSON file in config.paths.templates:
+//   {
+//     "title": "Master's Statement of Purpose",
+//     "header": [ "<text>", { "text": "<text>", "when": "resume" }, ... ],
+//     "sectionLabel": "Paragraph",
+//     "sections": [ { "title": "Introduction", "words": [120, 150], "instructions": "<text>" }, ... ],
+//     "footer": [ ... ]
+//   }
+// Text may use {{variable}} placeholders. Blocks and sections with "when" are only
+// rendered if that variable is non-empty, "unless" the opposite. "words" is a
+// number or a [min, max] budget.
+
+function listTemplates() {
+  const dir = config.paths.templates;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+function loadTemplate(name = config.defaultTemplate) {
+  const templateName = (name || config.defaultTemplate).trim();
+  const templatePath = path.join(config.paths.templates, `${templateName}.json`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Unknown document template "${templateName}". Available templates: ${listTemplates().join(', ')}.`);
+  }
+  return { name: templateName, ...JSON.parse(fs.readFileSync(templatePath, 'utf8')) };
+}
+
+function interpolate(text, variables, templateName) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (!(key in variables)) {
+      logger.warn(`Template "${templateName}" uses unknown variable ${match}; leaving it as is.`);
+      return match;
+    }
+    return variables[key] == null ? '' : String(variables[key]);
+  });
+}
+
+function isIncluded(part, variables) {
+  const present = (key) => {
+    const value = variables[key];
+    return value != null && String(value).trim() !== '';
+  };
+  if (part.when && !present(part.when)) return false;
+  if (part.unless && present(part.unless)) return false;
+  return true;
+}
+
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = n % 100;
+  return `${n}${(lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+}
+
+function formatBudget(words) {
+  if (!words) return '';
+  return Array.isArray(words) ? ` (${words[0]}–${words[1]} words)` : ` (about ${words} words)`;
+}
+
+function renderBlocks(blocks = [], variables, templateName) {
+  return blocks
+    .map(block => (typeof block === 'string' ? { text: block } : block))
+    .filter(block => isIncluded(block, variables))
+    .map(block => interpolate(block.text, variables, templateName));
+}
+
+function renderTemplate(template, variables) {
+  const label = template.sectionLabel || 'Paragraph';
+  const sections = (template.sections || [])
+    .filter(section => isIncluded(section, variables))
+    .map((section, i) => {
+      const instructions = interpolate(section.instructions, variables, template.name);
+      return `${ordinal(i + 1)} ${label} – ${section.title}${formatBudget(section.words)}: ${instructions}`;
+    });
+
+  return [
+    '',
+    ...renderBlocks(template.header, variables, template.name),
+    ...sections,
+    ...renderBlocks(template.footer, variables, template.name),
+  ].join('\n\n') + '\n';
+}
+
+// Recovers the section list ({ title, words }) from a rendered prompt, so a
+// generated document can be checked against the prompt it came from, including
+// prompts saved by earlier runs.
+function parseOutline(promptText) {
+  const pattern = /^\d+(?:st|nd|rd|th) [^–\n]+? – (.+?)(?: \((\d+)–(\d+) words\)| \(about (\d+) words\))?: /gm;
+  return [...promptText.matchAll(pattern)].map(([, title, min, max, about]) => ({
+    title,
+    words: min ? [Number(min), Number(max)] : (about ? Number(about) : null),
+  }));
+}
+
+module.exports = { listTemplates, loadTemplate, renderTemplate, parseOutline, interpolate };
@@ -0,0 +1,120 @@
+// test/crawlerService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const context = require('../utils/context');
+const crawlerService = require('../services/crawlerService');
+
+const SHARED = 'Contact the international office for questions about your application and visa.';
+const page = (title, body, links = []) => `<html><body><main><h1>${title}</h1><p>${body}</p><p>${SHARED}</p>
+  ${links.map(([href, text]) => `<a href="${href}">${text}</a>`).join('\n')}</main></body></html>`;
+
+// A small course site: the programme page links to keyword and non-keyword
+// pages, a page robots.txt disallows, a PDF without an extension, a malformed
+// link, an external site and the same sub-page twice.
+const SITE = {
+  '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /private\n'],
+  '/course': ['text/html', page('MSc Robotics', 'Robotics programme overview with a focus on autonomous systems.', [
+    ['/modules', 'Modules'],
+    ['/modules#top', 'All modules'],
+    ['/admission', 'How to apply'],
+    ['/news', 'Latest news'],
+    ['/private/modules', 'Internal module list'],
+    ['/handbook', 'Module handbook'],
+    ['/%zz-curriculum', 'Curriculum'],
+    ['http://other.example/modules', 'Partner modules'],
+  ])],
+  '/modules': ['text/html', page('Modules', 'Motion planning, computer vision and control theory.')],
+  '/admission': ['text/html', page('Admission', 'A bachelor degree in engineering is required.', [['/admission/fees', 'Tuition fees']])],
+  '/admission/fees': ['text/html', page('Fees', 'No tuition fees; a semester contribution applies.')],
+  '/handbook': ['application/pdf', '%PDF-1.7 binary'],
+  '/news': ['text/html', page('News', 'Campus news.')],
+  '/private/modules': ['text/html', page('Private', 'Staff only.')],
+  '/slow': ['text/html', page('Slow site', 'A programme whose module page never answers.', [['/slow-modules', 'Modules']])],
+};
+
+function startSite() {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === '/slow-modules') return undefined; // never answers
+    const entry = SITE[req.url.split('?')[0]];
+    if (!entry) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': entry[0] });
+    return res.end(entry[1]);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requested, origin: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+const silent = { debug() {}, info() {}, success() {}, warn() {}, error() {} };
+
+function crawl(url, options) {
+  const ctx = {
+    config: config.createConfig({ env: {}, workspace: path.join(os.tmpdir(), 'sop-crawler-test') }),
+    logger: silent,
+  };
+  ctx.config.cache.enabled = false;
+  return context.run(ctx, () => crawlerService.crawlCourse(url, { delayMs: 0, ...options }));
+}
+
+test('crawlCourse', async (t) => {
+  const site = await startSite();
+  t.after(() => {
+    site.server.closeAllConnections();
+    site.server.close();
+  });
+
+  await t.test('follows keyword links one hop deep and merges the pages', async () => {
+    site.requested.length = 0;
+    const text = await crawl(`${site.origin}/course`, { maxDepth: 1, maxPages: 10 });
+
+    assert.match(text, /=== Page: .*\/course ===/);
+    assert.match(text, /Motion planning/);
+    assert.match(text, /bachelor degree in engineering/);
+    assert.doesNotMatch(text, /No tuition fees/, 'depth 2 is not reached');
+    assert.doesNotMatch(text, /Campus news/, 'links without a keyword are not followed');
+    assert.deepStrictEqual(site.requested.filter(url => url === '/modules'), ['/modules'], 'fragments are deduplicated');
+  });
+
+  await t.test('obeys robots.txt and skips binary and malformed links', async () => {
+    site.requested.length = 0;
+    const text = await crawl(`${site.origin}/course`, { maxDepth: 1, maxPages: 10 });
+
+    assert.ok(!site.requested.includes('/private/modules'));
+    assert.doesNotMatch(text, /Staff only/);
+    assert.doesNotMatch(text, /%PDF/, 'a PDF served without extension is skipped');
+    assert.ok(site.requested.includes('/%zz-curriculum'), 'a malformed escape does not stop the crawl');
+  });
+
+  await t.test('repeated paragraphs appear once', async () => {
+    const text = await crawl(`${site.origin}/course`, { maxDepth: 1, maxPages: 10 });
+    assert.strictEqual(text.split(SHARED).length - 1, 1);
+  });
+
+  await t.test('follows deeper links up to maxDepth and stops at maxPages', async () => {
+    const deep = await crawl(`${site.origin}/course`, { maxDepth: 2, maxPages: 10 });
+    assert.match(deep, /No tuition fees/);
+
+    site.requested.length = 0;
+    const capped = await crawl(`${site.origin}/course`, { maxDepth: 2, maxPages: 2 });
+    assert.strictEqual(capped.match(/=== Page:/g).length, 2);
+    assert.ok(!site.requested.includes('/admission/fees'));
+  });
+
+  await t.test('gives up on a sub-page that does not answer in time', async () => {
+    const text = await crawl(`${site.origin}/slow`, { maxDepth: 1, timeoutMs: 200 });
+    assert.match(text, /never answers/);
+  });
+
+  await t.test('fails when the course page itself is not text', async () => {
+    await assert.rejects(crawl(`${site.origin}/handbook`, { maxDepth: 1 }), /application\/pdf/);
+  });
+});
@@ -0,0 +1,105 @@
+// test/sopStreaming.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createPipeline } = require('..');
+
+const METADATA = JSON.stringify({ courseName: 'MSc Robotics', universityName: 'TU Test', country: 'Germany', summary: 'A robotics programme.' });
+const SOP = [1, 2, 3, 4].map(i => `Paragraph ${i} explains why I want to study robotics at TU Test. `.repeat(6).trim()).join('\n\n');
+const CONTINUATION = 'The rest of the statement picks up here.';
+
+// An OpenAI-compatible endpoint: plain JSON for the metadata request, server-sent
+// events for the SOP. With `server.dropAfter` set, the stream is cut off after
+// that many events.
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      server.requests.push(request);
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: METADATA } }], usage: { prompt_tokens: 10, completion_tokens: 10 } }));
+        return;
+      }
+
+      const last = request.messages[request.messages.length - 1].content;
+      const text = /cut off/.test(last) ? CONTINUATION : SOP;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': keep-alive\n\n');
+      const pieces = text.match(/[\s\S]{1,25}/g);
+      pieces.forEach((piece, i) => {
+        if (server.dropAfter !== null && i >= server.dropAfter) return;
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\r\n\r\n`);
+      });
+      if (server.dropAfter !== null) {
+        // Let the events reach the client before the connection goes.
+        setTimeout(() => res.destroy(), 50);
+        return;
+      }
+      res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 20, completion_tokens: 30 } })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  server.requests = [];
+  server.dropAfter = null;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('streamed SOP generation', async (t) => {
+  const server = await startServer();
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'sop-stream-test-'));
+  t.after(() => {
+    server.close();
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  const warnings = [];
+  const pipeline = createPipeline({
+    workspace,
+    env: {},
+    config: {
+      providers: { local: { apiUrl: `http://127.0.0.1:${server.address().port}/v1/chat/completions` } },
+      llm: { metadata: { provider: 'local' }, resume: { provider: 'local' }, sop: { provider: 'local' }, judge: { provider: 'local' } },
+      cache: { enabled: false },
+      retry: { retries: 0 },
+      streaming: { checkpointMs: 0 },
+    },
+    logger: { info() {}, warn: message => warnings.push(message), error() {} },
+  });
+  const app = await pipeline.addApplication({ candidateName: 'Stream Test', courseInput: 'MSc Robotics at TU Test, Germany.' });
+  await pipeline.buildPrompt(app);
+  const partialFile = () => path.join(workspace, app.folder, 'sop.partial.txt');
+
+  await t.test('an interrupted stream leaves its text in a partial file', async () => {
+    server.dropAfter = 20;
+    await assert.rejects(pipeline.generateSop(app), /cut off by the server/);
+
+    assert.strictEqual(app.stages.sop.status, 'failed');
+    assert.strictEqual(app.stages.sop.retryable, true);
+    const partial = fs.readFileSync(partialFile(), 'utf8');
+    assert.ok(SOP.startsWith(partial) && partial.length > 0 && partial.length < SOP.length);
+    assert.ok(warnings.some(message => /partial output/.test(message)));
+  });
+
+  await t.test('the next run continues from the partial text and removes it', async () => {
+    const partial = fs.readFileSync(partialFile(), 'utf8');
+    server.dropAfter = null;
+    server.requests.length = 0;
+    await pipeline.generateSop(app);
+
+    const [request] = server.requests;
+    assert.strictEqual(request.stream, true);
+    assert.deepStrictEqual(request.messages.map(message => message.role), ['user', 'assistant', 'user']);
+    const kept = request.messages[1].content;
+    assert.ok(partial.startsWith(kept) && /[.!?]$/.test(kept), 'continues from the last full sentence');
+
+    const sop = await pipeline.readArtifact(app, 'sop');
+    assert.ok(sop.startsWith(kept) && sop.endsWith(CONTINUATION));
+    assert.ok(!fs.existsSync(partialFile()));
+  });
+});
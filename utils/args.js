@@ -0,0 +1,108 @@
+// utils/args.js
+
+// One option table shared by every CLI subcommand. LLM flags can be scoped to a
+// stage with a prefix (--metadata-model, --sop-temperature); unprefixed ones
+// apply to the stage the command itself runs (see llmOverrides below).
+const LLM_FLAGS = {
+  provider: { key: 'provider' },
+  model: { key: 'model' },
+  temperature: { key: 'temperature', type: 'float', param: true },
+  maxTokens: { key: 'maxTokens', type: 'int', param: true },
+  topK: { key: 'topK', type: 'int', param: true },
+  topP: { key: 'topP', type: 'float', param: true },
+};
+
+const FLAGS = {
+  resume: { key: 'resume' },
+  output: { key: 'output' },
+  row: { key: 'row', type: 'int' },
+  name: { key: 'name' },
+  template: { key: 'template' },
+  profile: { key: 'profile' },
+  crawl: { key: 'crawl', type: 'boolean' },
+  'crawl-depth': { key: 'crawlDepth', type: 'int' },
+  'crawl-pages': { key: 'crawlPages', type: 'int' },
+  'input-file': { key: 'inputFile' },
+  'no-cache': { key: 'noCache', type: 'boolean' },
+  'no-stream': { key: 'noStream', type: 'boolean' },
+  restart: { key: 'restart', type: 'boolean' },
+  all: { key: 'all', type: 'boolean' },
+  file: { key: 'file' },
+  format: { key: 'formats', type: 'list' },
+  style: { key: 'style' },
+  concurrency: { key: 'concurrency', type: 'int' },
+  port: { key: 'port', type: 'int' },
+  feedback: { key: 'feedback' },
+  'feedback-file': { key: 'feedbackFile' },
+  drafts: { key: 'drafts', type: 'int' },
+  'draft-models': { key: 'draftModels', type: 'list' },
+  'draft-temperatures': { key: 'draftTemperatures', type: 'floatList' },
+  verbose: { key: 'verbose', type: 'boolean' },
+  quiet: { key: 'quiet', type: 'boolean' },
+  help: { key: 'help', type: 'boolean' },
+};
+
+const STAGES = ['metadata', 'resume', 'sop', 'judge'];
+
+function convert(flag, spec, raw) {
+  if (raw === undefined) throw new Error(`Missing value for --${flag}.`);
+  if (spec.type === 'int' || spec.type === 'float') {
+    const value = spec.type === 'int' ? parseInt(raw, 10) : parseFloat(raw);
+    if (Number.isNaN(value)) throw new Error(`Invalid number for --${flag}: "${raw}".`);
+    return value;
+  }
+  if (spec.type === 'list' || spec.type === 'floatList') {
+    const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+    if (spec.type === 'list') return items;
+    return items.map(item => convert(flag, { type: 'float' }, item));
+  }
+  return raw;
+}
+
+function parseArguments(argv = process.argv.slice(2)) {
+  const options = { llm: { default: {}, metadata: {}, resume: {}, sop: {}, judge: {} } };
+  const positionals = [];
+  let command = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (command === null) command = arg;
+      else positionals.push(arg);
+      continue;
+    }
+
+    const flag = arg.slice(2);
+    const [prefix, ...restParts] = flag.split('-');
+    const rest = restParts.join('-');
+
+    if (LLM_FLAGS[flag]) {
+      options.llm.default[LLM_FLAGS[flag].key] = convert(flag, LLM_FLAGS[flag], argv[++i]);
+    } else if (STAGES.includes(prefix) && LLM_FLAGS[rest]) {
+      options.llm[prefix][LLM_FLAGS[rest].key] = convert(flag, LLM_FLAGS[rest], argv[++i]);
+    } else if (FLAGS[flag]) {
+      const spec = FLAGS[flag];
+      options[spec.key] = spec.type === 'boolean' ? true : convert(flag, spec, argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${arg}. Use --help for usage information.`);
+    }
+  }
+
+  return { command, options, positionals };
+}
+
+// Turns the parsed flags into the { provider, model, params } overrides that
+// llmService.complete() understands. Unprefixed flags only count for the
+// command's primary stage; stage-prefixed flags always win.
+function llmOverrides(options, stage, { primary = false } = {}) {
+  const merged = { ...(primary ? options.llm.default : {}), ...options.llm[stage] };
+  const overrides = { params: {} };
+  for (const { key, param } of Object.values(LLM_FLAGS)) {
+    if (merged[key] === undefined) continue;
+    if (param) overrides.params[key] = merged[key];
+    else overrides[key] = merged[key];
+  }
+  return overrides;
+}
+
+module.exports = { parseArguments, llmOverrides };
@@ -0,0 +1,92 @@
+// utils/cache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const HOUR = 60 * 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// File-per-entry JSON cache under config.paths.cache/<namespace>/.
+// Entries look like { key, storedAt, expiresAt, value }. Everything is a no-op
+// while config.cache.enabled is false (the --no-cache flag). The folder and
+// `ttlHours` (a number or a function returning one) are read on every call,
+// so a cache follows the active config.
+function createCache(namespace, ttlHours) {
+  const dir = () => path.join(config.paths.cache, namespace);
+  const entryPath = (key) => path.join(dir(), `${hash(key)}.json`);
+
+  // Returns the entry, or null. Expired entries are only returned with
+  // `allowStale`, for callers that can revalidate them (HTTP ETags).
+  function getEntry(key, { allowStale = false } = {}) {
+    if (!config.cache.enabled) return null;
+    const file = entryPath(key);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!allowStale && entry.expiresAt < Date.now()) return null;
+      return entry;
+    } catch (error) {
+      return null; // A half-written or corrupt entry is just a miss.
+    }
+  }
+
+  function get(key) {
+    const entry = getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  function set(key, value) {
+    if (!config.cache.enabled) return;
+    fs.mkdirSync(dir(), { recursive: true });
+    const now = Date.now();
+    const ttl = typeof ttlHours === 'function' ? ttlHours() : ttlHours;
+    const entry = { key, storedAt: now, expiresAt: now + ttl * HOUR, value };
+    // Write then rename so an interrupted run never leaves a truncated entry.
+    const file = entryPath(key);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry), 'utf8');
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function remove(key) {
+    const file = entryPath(key);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+
+  return { getEntry, get, set, remove };
+}
+
+// Deletes expired entries (or all of them with { all: true }) in every namespace.
+// Returns { removed, kept }.
+function prune({ all = false } = {}) {
+  const root = config.paths.cache;
+  const result = { removed: 0, kept: 0 };
+  if (!fs.existsSync(root)) return result;
+
+  for (const namespace of fs.readdirSync(root)) {
+    const dir = path.join(root, namespace);
+    if (!fs.statSync(dir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      let expired = true;
+      if (!all && file.endsWith('.json')) {
+        try {
+          expired = JSON.parse(fs.readFileSync(filePath, 'utf8')).expiresAt < Date.now();
+        } catch (error) {
+          expired = true;
+        }
+      }
+      if (expired) {
+        fs.unlinkSync(filePath);
+        result.removed++;
+      } else {
+        result.kept++;
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { createCache, prune, hash };
@@ -0,0 +1,48 @@
+// utils/context.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The library entry point (index.js) runs every call inside a context holding
+// the caller's config, logger and application storage. Modules keep importing
+// `config` and `logger` as usual; both read from the active context and fall
+// back to the process-wide defaults the CLI uses.
+//
+// Context = { config, logger, storage }, any of them optional.
+
+const storage = new AsyncLocalStorage();
+
+function current() {
+  return storage.getStore() || null;
+}
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+// A stand-in for `defaults` that resolves every property against the active
+// context's `key` object first.
+function scoped(defaults, key) {
+  const target = () => {
+    const active = current();
+    return active && active[key] ? active[key] : defaults;
+  };
+  return new Proxy(defaults, {
+    get: (_, prop) => {
+      const source = target();
+      return prop in source ? source[prop] : defaults[prop];
+    },
+    set: (_, prop, value) => {
+      target()[prop] = value;
+      return true;
+    },
+    has: (_, prop) => prop in target(),
+    ownKeys: () => Reflect.ownKeys(target()),
+    getOwnPropertyDescriptor: (_, prop) => {
+      const descriptor = Object.getOwnPropertyDescriptor(target(), prop);
+      // The proxy target must report its own non-configurable properties as such.
+      if (descriptor && !Object.getOwnPropertyDescriptor(defaults, prop)) descriptor.configurable = true;
+      return descriptor;
+    },
+  });
+}
+
+module.exports = { current, run, scoped };
@@ -0,0 +1,71 @@
+// utils/credentials.js
+const util = require('util');
+const config = require('../config');
+
+// API keys are looked up when a provider is first used, not at startup, so a
+// run that only talks to one backend only needs that backend's key.
+//
+// Named profiles hold alternative keys, e.g. a personal free tier and a team's
+// paid account. They come from config.credentials.profiles, which config.js
+// fills from .env: GEMINI_API_KEY_TEAM=... is the Gemini key of profile "team".
+// A profile without a key for some provider uses the default key. The profile
+// is chosen per run (--profile, SOP_PROFILE) or per row (the profile column).
+
+const DEFAULT_PROFILE = 'default';
+
+function profileNames() {
+  return [DEFAULT_PROFILE, ...Object.keys(config.credentials.profiles)];
+}
+
+function resolveProfile(name) {
+  const profile = name || config.credentials.profile || DEFAULT_PROFILE;
+  if (!profileNames().includes(profile)) {
+    throw new Error(`Unknown credential profile "${profile}". Known profiles: ${profileNames().join(', ')}.`);
+  }
+  return profile;
+}
+
+function resolveApiKey(providerName, providerConfig, profile) {
+  const keys = config.credentials.profiles[profile] || {};
+  const apiKey = keys[providerName] || providerConfig.apiKey;
+  if (!apiKey && providerConfig.apiKeyEnv && !providerConfig.apiKeyOptional) {
+    const variable = profile === DEFAULT_PROFILE
+      ? providerConfig.apiKeyEnv
+      : `${providerConfig.apiKeyEnv}_${profile.toUpperCase()} or ${providerConfig.apiKeyEnv}`;
+    const error = new Error(`No API key for provider "${providerName}" (profile "${profile}"). Set ${variable} in the .env file.`);
+    error.code = 'MISSING_API_KEY';
+    throw error;
+  }
+  return apiKey;
+}
+
+// Keys can end up in error bodies, URLs and stack traces. Every configured key
+// is masked, plus anything shaped like a Google or OpenRouter key or a bearer
+// token, so keys missing from the config are caught too.
+const KEY_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{30,}/g,
+  /sk-[A-Za-z0-9-]{20,}/g,
+  /(\bBearer\s+)[^\s"',]+/gi,
+  /([?&]key=)[^&\s"']+/gi,
+];
+
+function configuredKeys() {
+  const keys = [
+    ...Object.values(config.providers).map(provider => provider.apiKey),
+    ...Object.values(config.credentials.profiles).flatMap(profile => Object.values(profile)),
+  ];
+  return keys.filter(key => typeof key === 'string' && key.length >= 8);
+}
+
+function redact(value) {
+  let text = typeof value === 'string' ? value : util.inspect(value);
+  for (const key of configuredKeys()) {
+    text = text.split(key).join('[redacted]');
+  }
+  for (const pattern of KEY_PATTERNS) {
+    text = text.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? `${prefix}[redacted]` : '[redacted]'));
+  }
+  return text;
+}
+
+module.exports = { DEFAULT_PROFILE, profileNames, resolveProfile, resolveApiKey, redact };
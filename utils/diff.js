@@ -0,0 +1,83 @@
+// utils/diff.js
+
+// Unified diffs between document versions. Prose is compared sentence by
+// sentence (one sentence per diff line, blank lines between paragraphs), since
+// a paragraph is usually a single long line and a line diff would only say
+// "paragraph changed".
+
+function toSentences(text) {
+  return text
+    .trim()
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim().split(/(?<=[.!?]["”’)]?)\s+(?=["“‘(]?[A-Z0-9])/))
+    .flatMap((sentences, i) => (i === 0 ? sentences : ['', ...sentences]));
+}
+
+// Longest-common-subsequence walk: [{ op: ' ' | '-' | '+', line }].
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push({ op: ' ', line: before[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: '-', line: before[i++] });
+    } else {
+      ops.push({ op: '+', line: after[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: before[i++] });
+  while (j < m) ops.push({ op: '+', line: after[j++] });
+  return ops;
+}
+
+// Returns { text, added, removed } where `text` is a unified diff with
+// `context` unchanged sentences around each change.
+function unifiedDiff(beforeText, afterText, { from = 'before', to = 'after', context = 2 } = {}) {
+  const ops = diffLines(toSentences(beforeText), toSentences(afterText));
+  const changed = ops.map(({ op }) => op !== ' ');
+  const keep = ops.map((_, k) => changed.slice(Math.max(0, k - context), k + context + 1).some(Boolean));
+
+  const lines = [`--- ${from}`, `+++ ${to}`];
+  let oldLine = 1;
+  let newLine = 1;
+  for (let k = 0; k < ops.length;) {
+    if (!keep[k]) {
+      if (ops[k].op !== '+') oldLine++;
+      if (ops[k].op !== '-') newLine++;
+      k++;
+      continue;
+    }
+    const hunk = [];
+    const start = [oldLine, newLine];
+    for (; k < ops.length && keep[k]; k++) {
+      hunk.push(`${ops[k].op}${ops[k].line}`);
+      if (ops[k].op !== '+') oldLine++;
+      if (ops[k].op !== '-') newLine++;
+    }
+    const oldCount = hunk.filter(line => line[0] !== '+').length;
+    const newCount = hunk.filter(line => line[0] !== '-').length;
+    lines.push(`@@ -${start[0]},${oldCount} +${start[1]},${newCount} @@`, ...hunk);
+  }
+
+  return {
+    text: `${lines.join('\n')}\n`,
+    added: ops.filter(({ op }) => op === '+').length,
+    removed: ops.filter(({ op }) => op === '-').length,
+  };
+}
+
+module.exports = { unifiedDiff };
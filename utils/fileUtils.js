@@ -1,16 +1,68 @@
 // utils/fileUtils.js
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
 const config = require('../config');
 const logger = require('./logger');
+const resumeReaders = require('./resumeReaders');
+const htmlExtractor = require('./htmlExtractor');
+const cache = require('./cache');
+
+const httpCache = cache.createCache('http', () => config.cache.httpTtlHours);
+
+// Fetches a page and decodes it with the right charset.
+// Returns { url, contentType, body, isHtml }; `url` is the final URL after redirects.
+// Pages are cached by URL; once the TTL runs out the cached copy is revalidated
+// with If-None-Match/If-Modified-Since and reused on a 304. `beforeRequest()` is
+// awaited only when the page is actually requested (the crawler's throttle), and
+// a request taking longer than `timeoutMs` fails.
+async function fetchPage(url, headers = {}, { beforeRequest, timeoutMs = config.crawl.timeoutMs } = {}) {
+  const cached = httpCache.getEntry(url, { allowStale: true });
+  if (cached && cached.expiresAt >= Date.now()) {
+    return cached.value.page;
+  }
+
+  const conditional = { ...headers };
+  if (cached?.value.etag) conditional['If-None-Match'] = cached.value.etag;
+  if (cached?.value.lastModified) conditional['If-Modified-Since'] = cached.value.lastModified;
+
+  if (beforeRequest) await beforeRequest();
+  let res;
+  try {
+    res = await fetch(url, { headers: conditional, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw new Error(`No response from ${url} within ${timeoutMs / 1000}s.`);
+    throw error;
+  }
+  if (res.status === 304 && cached) {
+    httpCache.set(url, cached.value);
+    return cached.value.page;
+  }
+  if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
+
+  const contentType = res.headers.get('content-type') || '';
+  const body = htmlExtractor.decodeHtml(Buffer.from(await res.arrayBuffer()), contentType);
+  const page = {
+    url: res.url || url,
+    contentType,
+    body,
+    isHtml: !contentType || /html|xml/i.test(contentType),
+  };
+  httpCache.set(url, {
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+    page,
+  });
+  return page;
+}
+
+const isPlainText = (page) => /^text\/plain\b/i.test(page.contentType);
 
 async function fetchCourseTextFromUrl(url) {
   try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
-    const html = await res.text();
-    return html.replace(/<[^>]+>/g, ' ').replace(/\s\s+/g, ' ').trim();
+    const page = await fetchPage(url);
+    if (page.isHtml) return htmlExtractor.extractMainText(page.body);
+    if (!isPlainText(page)) throw new Error(`${url} is ${page.contentType}, not a web page or plain text.`);
+    return page.body.trim();
   } catch (error) {
     logger.error(`Failed to fetch from URL ${url}`, error);
     throw error; // Re-throw to be caught by the main process
@@ -22,17 +74,15 @@ async function readResumeContent(filename) {
     logger.warn('No resume filename provided for this application.');
     return null;
   }
-  const pdfPath = path.join(config.paths.resumes, `${filename}.pdf`);
-  if (!fs.existsSync(pdfPath)) {
-    logger.error(`Resume file not found at: ${pdfPath}`);
+  const { filePath, tried } = resumeReaders.resolveResumePath(config.paths.resumes, filename.trim());
+  if (!filePath) {
+    logger.error(`Resume "${filename}" not found. Tried:\n  ${tried.join('\n  ')}`);
     return null;
   }
   try {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const data = await pdf(dataBuffer);
-    return data.text;
+    return await resumeReaders.readResumeFile(filePath);
   } catch (error) {
-    logger.error(`Failed to read or parse resume PDF: ${pdfPath}`, error);
+    logger.error(`Failed to read or parse resume: ${filePath}`, error.message);
     return null;
   }
 }
@@ -42,8 +92,7 @@ function sanitizeFileName(name) {
   return name.replace(/\s+/g, '_').replace(/[<>:"/\\|?*]+/g, '').toLowerCase();
 }
 
-function savePromptToFile(promptText, fileName) {
-    const promptsDir = config.paths.prompts;
+function savePromptToFile(promptText, fileName, promptsDir = config.paths.prompts) {
     if (!fs.existsSync(promptsDir)) {
         fs.mkdirSync(promptsDir, { recursive: true });
     }
@@ -53,7 +102,9 @@ function savePromptToFile(promptText, fileName) {
 }
 
 module.exports = {
+  fetchPage,
   fetchCourseTextFromUrl,
+  isPlainText,
   readResumeContent,
   sanitizeFileName,
   savePromptToFile,
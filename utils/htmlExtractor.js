@@ -0,0 +1,201 @@
+// utils/htmlExtractor.js
+const cheerio = require('cheerio');
+
+// Elements that never carry course content.
+const DROP_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'canvas', 'form', 'button', 'select',
+  'nav', 'header', 'footer', 'aside',
+  '[role=navigation]', '[role=banner]', '[role=contentinfo]', '[role=search]', '[aria-hidden=true]', '[hidden]',
+];
+
+// Cookie banners, menus and share widgets rarely use semantic tags, so they are
+// recognised by their id or a class, matched as a whole token: wrappers such as
+// "section-header" or "course-menu-content" often hold the programme text.
+const BOILERPLATE_TOKENS = new Set([
+  'header', 'site-header', 'page-header', 'masthead', 'footer', 'site-footer', 'page-footer',
+  'nav', 'navbar', 'navigation', 'main-nav', 'site-nav', 'menu', 'main-menu', 'mega-menu',
+  'breadcrumb', 'breadcrumbs', 'skip-link', 'skiplink', 'skip-links', 'sidebar', 'toolbar', 'pagination',
+  'cookie', 'cookies', 'cookie-banner', 'cookie-consent', 'cookie-notice', 'consent', 'consent-banner', 'gdpr',
+  'social', 'social-links', 'social-share', 'share', 'share-buttons', 'newsletter', 'popup', 'modal',
+]);
+
+// Landmarks that hold the content; an element containing one is never dropped.
+const CONTENT_LANDMARKS = 'main, article, [role=main]';
+
+// Tried in order; the first one with enough text is taken as the main region.
+const MAIN_SELECTORS = ['main', '[role=main]', 'article', '#content', '#main-content', '#main', '.main-content', '.content'];
+const MIN_MAIN_TEXT = 200;
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'table', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'figure', 'figcaption', 'details', 'summary',
+]);
+
+// --- Charset handling ---
+
+function charsetFromContentType(contentType) {
+  const match = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType || '');
+  return match ? match[1] : null;
+}
+
+function charsetFromMeta(buffer) {
+  // Meta tags must appear in the first 1024 bytes; ASCII-compatible decoding is enough to find them.
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const match = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+  return match ? match[1] : null;
+}
+
+// The HTTP header wins over <meta charset>, as in browsers; UTF-8 otherwise.
+function decodeHtml(buffer, contentType) {
+  const charset = charsetFromContentType(contentType) || charsetFromMeta(buffer) || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// --- Main-content detection ---
+
+function isBoilerplate($, el) {
+  const tokens = `${$(el).attr('id') || ''} ${$(el).attr('class') || ''}`.toLowerCase().split(/\s+/);
+  return tokens.some(token => BOILERPLATE_TOKENS.has(token));
+}
+
+function removeBoilerplate($) {
+  const holdsContent = (el) => $(el).find(CONTENT_LANDMARKS).length > 0;
+  $(DROP_SELECTORS.join(',')).each((i, el) => {
+    if (!holdsContent(el)) $(el).remove();
+  });
+  $('[id],[class]').each((i, el) => {
+    if (['html', 'body', 'main', 'article'].includes(el.name) || holdsContent(el)) return;
+    if (isBoilerplate($, el)) $(el).remove();
+  });
+}
+
+function textLength($, el) {
+  return $(el).text().replace(/\s+/g, ' ').trim().length;
+}
+
+// Falls back to the block with the most text that is not link text, which
+// beats plain "largest element" on pages where the content div is unlabeled.
+function findMainRegion($) {
+  for (const selector of MAIN_SELECTORS) {
+    const candidate = $(selector).toArray().sort((a, b) => textLength($, b) - textLength($, a))[0];
+    if (candidate && textLength($, candidate) >= MIN_MAIN_TEXT) return candidate;
+  }
+
+  let best = null;
+  let bestScore = 0;
+  $('div, section').each((i, el) => {
+    const total = textLength($, el);
+    const linkText = $(el).find('a').toArray().reduce((sum, a) => sum + textLength($, a), 0);
+    const score = (total - linkText) * (1 - linkText / Math.max(total, 1));
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+  return best || $('body').get(0) || $.root().get(0);
+}
+
+// --- Serialisation to structured plain text ---
+
+function render(node, out, listDepth = 0) {
+  if (node.type === 'text') {
+    out.push(node.data.replace(/\s+/g, ' '));
+    return;
+  }
+  if (node.type !== 'tag') return;
+
+  const tag = node.name;
+  const children = node.children || [];
+  const heading = /^h([1-6])$/.exec(tag);
+
+  if (heading) {
+    const inner = [];
+    children.forEach(child => render(child, inner, listDepth));
+    out.push(`\n\n${'#'.repeat(Number(heading[1]))} ${inner.join('').trim()}\n\n`);
+  } else if (tag === 'ul' || tag === 'ol') {
+    // Nested lists continue their parent list instead of opening a new paragraph.
+    const boundary = listDepth === 0 ? '\n\n' : '';
+    out.push(boundary);
+    children.forEach(child => render(child, out, listDepth + 1));
+    out.push(boundary);
+  } else if (tag === 'li') {
+    out.push(`\n${'  '.repeat(Math.max(listDepth - 1, 0))}- `);
+    children.forEach(child => render(child, out, listDepth));
+  } else if (tag === 'br') {
+    out.push('\n');
+  } else if (tag === 'tr') {
+    out.push('\n');
+    children.forEach(child => render(child, out, listDepth));
+  } else if (tag === 'td' || tag === 'th') {
+    children.forEach(child => render(child, out, listDepth));
+    out.push(' | ');
+  } else if (BLOCK_TAGS.has(tag)) {
+    out.push('\n\n');
+    children.forEach(child => render(child, out, listDepth));
+    out.push('\n\n');
+  } else {
+    children.forEach(child => render(child, out, listDepth));
+  }
+}
+
+function tidy(text) {
+  return text
+    .split('\n')
+    .map((line) => {
+      // Keep the indentation of nested list items; flatten everything else.
+      const indent = /^ *- /.test(line) ? /^ */.exec(line)[0] : '';
+      return indent + line.replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\|\s*$/, '').trim();
+    })
+    .filter(line => !/^\s*-\s*$/.test(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Turns a course web page into plain text that keeps headings ("## Modules")
+// and lists ("- Ecology"), without menus, banners, scripts or footers.
+function extractMainText(html) {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+
+  removeBoilerplate($);
+  const main = findMainRegion($);
+
+  const out = [];
+  render(main, out);
+  let text = tidy(out.join(''));
+
+  if (title && !/^# /m.test(text)) {
+    text = `# ${title}\n\n${text}`;
+  }
+  return text;
+}
+
+// All http(s) links on the page, resolved against `baseUrl`, without fragments.
+// Navigation is included on purpose: sub-pages like "Modules" or "Admission"
+// are usually only linked from the menu.
+function extractLinks(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const links = [];
+
+  $('a[href]').each((i, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr('href'), baseUrl);
+    } catch (error) {
+      return;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return;
+    url.hash = '';
+    if (seen.has(url.href)) return;
+    seen.add(url.href);
+    links.push({ url: url.href, text: $(el).text().replace(/\s+/g, ' ').trim() });
+  });
+  return links;
+}
+
+module.exports = { decodeHtml, extractMainText, extractLinks };
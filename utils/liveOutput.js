@@ -0,0 +1,61 @@
+// utils/liveOutput.js
+const config = require('../config');
+const context = require('./context');
+
+// Shows streamed text in the terminal as it arrives. A stream takes the
+// terminal with its first text, so waiting for a rate limit or a retry is still
+// logged as it happens. Only one stream owns the terminal at a time, so
+// concurrent rows and drafts don't interleave; streams that start while it is
+// taken stay silent, and console log lines (utils/logger) are held until the
+// stream ends. Nothing is shown when stdout is not a terminal, with --quiet or
+// LOG_FORMAT=json, or inside a library call (index.js), whatever its options.
+
+let owner = null;
+const held = [];
+
+const silent = { write() {}, close() {} };
+
+function enabled() {
+  return config.streaming.enabled && config.streaming.live
+    && process.stdout.isTTY
+    && config.logging.format === 'text'
+    && ['debug', 'info'].includes(config.logging.level)
+    && !context.current();
+}
+
+// Returns { write(text), close() } for one stream, headed by `title`.
+function open(title) {
+  if (!enabled()) return silent;
+  let started = false;
+  const handle = {
+    write(text) {
+      if (!started) {
+        started = true;
+        if (owner) return;
+        owner = handle;
+        process.stdout.write(`\x1b[90m--- ${title} ---\x1b[0m\n`);
+      }
+      if (owner === handle) process.stdout.write(text);
+    },
+    close() {
+      if (owner !== handle) return;
+      process.stdout.write('\n\x1b[90m--- end of stream ---\x1b[0m\n');
+      owner = null;
+      held.splice(0).forEach(print => print());
+    },
+  };
+  return handle;
+}
+
+// Runs `print` now, or once the live stream has ended.
+function whenIdle(print) {
+  if (owner) held.push(print);
+  else print();
+}
+
+// Ends the live stream, if any, e.g. when the process is interrupted.
+function end() {
+  if (owner) owner.close();
+}
+
+module.exports = { open, whenIdle, end };
@@ -1,6 +1,18 @@
 // utils/logger.js
+const config = require('../config');
+const context = require('./context');
+const runLog = require('./runLog');
+const liveOutput = require('./liveOutput');
+const { redact } = require('./credentials');
+
+// Levels in increasing order of importance. `success` is an info line that
+// gets its own colour. The console shows config.logging.level and up
+// (--verbose: debug, --quiet: warn); the run log (utils/runLog) gets everything.
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40 };
+
 const colors = {
   reset: "\x1b[0m",
+  debug: "\x1b[90m",   // Grey
   info: "\x1b[36m",    // Cyan
   success: "\x1b[32m", // Green
   warn: "\x1b[33m",   // Yellow
@@ -11,14 +23,53 @@ const log = (color, type, message) => {
     console.log(`${color}[${type.toUpperCase()}]${colors.reset} ${message}`);
 };
 
+// Text lines as before, or one JSON object per line with config.logging.format = 'json'.
+// Lines logged while a SOP streams to the terminal wait until it ends (utils/liveOutput).
+function writeConsole(level, message, fields) {
+  if (LEVELS[level] < (LEVELS[config.logging.level] ?? LEVELS.info)) return;
+  if (config.logging.format === 'json') {
+    console.log(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields }));
+    return;
+  }
+  liveOutput.whenIdle(() => {
+    log(colors[level], level, message);
+    if (level === 'error' && fields && fields.error) {
+        console.error(fields.error);
+    }
+  });
+}
+
+// API keys are masked in everything logged, error details included.
+const redactFields = (fields) => (fields ? JSON.parse(redact(JSON.stringify(fields))) : undefined);
+const describeError = (errorObj) => (errorObj instanceof Error ? errorObj.stack || errorObj.message : errorObj);
+
+// A logger injected through the library API (utils/context) gets every call
+// instead of the console; it may leave out `debug` and `success`, which then
+// are dropped or go to its `info`.
+function emit(level, message, fields) {
+  const text = redact(String(message));
+  const details = redactFields(fields);
+  runLog.write({ level, msg: text, ...details });
+
+  const injected = context.current()?.logger;
+  if (!injected) {
+    writeConsole(level, text, details);
+  } else if (level === 'error') {
+    injected.error(text, details && details.error);
+  } else if (injected[level]) {
+    injected[level](text, details);
+  } else if (level === 'success') {
+    injected.info(text, details);
+  }
+}
+
+// `fields` are structured details for the JSON output and the run log, e.g.
+// logger.debug('LLM reply', { provider, latencyMs }). error() takes an Error or
+// a message as its second argument, as it always has.
 module.exports = {
-  info: (message) => log(colors.info, 'info', message),
-  success: (message) => log(colors.success, 'success', message),
-  warn: (message) => log(colors.warn, 'warn', message),
-  error: (message, errorObj = null) => {
-      log(colors.error, 'error', message);
-      if (errorObj) {
-          console.error(errorObj);
-      }
-  },
-};
\ No newline at end of file
+  debug: (message, fields) => emit('debug', message, fields),
+  info: (message, fields) => emit('info', message, fields),
+  success: (message, fields) => emit('success', message, fields),
+  warn: (message, fields) => emit('warn', message, fields),
+  error: (message, errorObj = null) => emit('error', message, errorObj ? { error: describeError(errorObj) } : undefined),
+};
@@ -0,0 +1,56 @@
+// utils/resumeReaders.js
+const fs = require('fs');
+const path = require('path');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// One reader per supported resume format. Each takes the file buffer and
+// resolves to plain text.
+const readers = {
+  pdf: async (buffer) => (await pdf(buffer)).text,
+  docx: async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  txt: async (buffer) => buffer.toString('utf8'),
+  md: async (buffer) => buffer.toString('utf8'),
+};
+
+// Order in which extensions are tried when the CSV names a resume without one.
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md'];
+
+// Magic bytes win over the extension, so a Word file saved as "cv.pdf" or a
+// LinkedIn export without an extension still gets the right reader.
+function detectFormat(filePath, buffer) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) return 'docx';
+
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  if (readers[ext]) return ext;
+  // Anything without NUL bytes in its first KB is treated as plain text.
+  return buffer.subarray(0, 1024).includes(0) ? null : 'txt';
+}
+
+// Finds the resume file for a CSV `resumeFile` value, which may be a bare name
+// ("Abhirami") or carry its extension ("Abhirami.docx"). The name as given is
+// tried first, then with each supported extension. Returns { filePath, tried }.
+function resolveResumePath(resumesDir, filename) {
+  const direct = path.join(resumesDir, filename);
+  const tried = [direct];
+  if (fs.existsSync(direct) && fs.statSync(direct).isFile()) return { filePath: direct, tried };
+
+  for (const ext of SUPPORTED_EXTENSIONS) {
+    const candidate = `${direct}${ext}`;
+    tried.push(candidate);
+    if (fs.existsSync(candidate)) return { filePath: candidate, tried };
+  }
+  return { filePath: null, tried };
+}
+
+async function readResumeFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const format = detectFormat(filePath, buffer);
+  if (!format) {
+    throw new Error(`Unsupported resume format for ${filePath}. Supported formats: ${Object.keys(readers).join(', ')}.`);
+  }
+  return readers[format](buffer);
+}
+
+module.exports = { resolveResumePath, readResumeFile, detectFormat, SUPPORTED_EXTENSIONS };
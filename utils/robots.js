@@ -0,0 +1,81 @@
+// utils/robots.js
+
+// Minimal robots.txt support: the group for our user agent (or "*"),
+// Allow/Disallow with "*" and "$" patterns, longest match wins, and Crawl-delay.
+function parseRobots(text, userAgent) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds)) current.crawlDelay = seconds;
+    }
+  }
+
+  const product = userAgent.split('/')[0].toLowerCase();
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && product.includes(agent)))
+    || groups.find(g => g.agents.includes('*'));
+  return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [], crawlDelay: null };
+}
+
+function toRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function isAllowed(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!toRegExp(rule.path).test(pathWithQuery)) continue;
+    const longer = !best || rule.path.length > best.path.length;
+    const tieAllows = best && rule.path.length === best.path.length && rule.allow;
+    if (longer || tieAllows) best = rule;
+  }
+  return !best || best.allow;
+}
+
+// A missing robots.txt (4xx) allows everything; an unreachable, slow or failing
+// one (5xx, network error, no answer within timeoutMs) disallows crawling, as
+// the major crawlers do.
+async function fetchRobots(origin, userAgent, timeoutMs = 30000) {
+  try {
+    const res = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': userAgent },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (res.status >= 400 && res.status < 500) return { rules: [], crawlDelay: null };
+    if (!res.ok) return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+    return parseRobots(await res.text(), userAgent);
+  } catch (error) {
+    return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+  }
+}
+
+module.exports = { parseRobots, isAllowed, fetchRobots };
@@ -0,0 +1,175 @@
+// utils/runLog.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { redact } = require('./credentials');
+
+// One JSON-lines log per CLI run in config.paths.logs: every logger entry at
+// any level, plus an event for each LLM call, each finished row and each input
+// that was summarised or cut to fit a model. finish() adds a summary report
+// (rows, failures, latency, tokens and estimated cost per provider and model,
+// input adjustments), written next to the log as <runId>.report.json.
+//
+// Nothing is recorded until start() is called, so library users and commands
+// without LLM work leave no files behind.
+
+let run = null;
+
+function start(command) {
+  const startedAt = new Date();
+  const runId = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${command}`;
+  fs.mkdirSync(config.paths.logs, { recursive: true });
+  run = {
+    runId,
+    command,
+    startedAt,
+    file: path.join(config.paths.logs, `${runId}.jsonl`),
+    rows: [],
+    calls: new Map(),
+    adjustments: [],
+  };
+  return run.file;
+}
+
+const isActive = () => run !== null;
+
+function write(entry) {
+  if (!run) return;
+  const line = redact(JSON.stringify({ time: new Date().toISOString(), runId: run.runId, ...entry }));
+  try {
+    fs.appendFileSync(run.file, `${line}\n`, 'utf8');
+  } catch {
+    // A log that cannot be written must not stop the run.
+  }
+}
+
+// Price in USD per million tokens from config.pricing ("<provider>:<model>", then "<provider>").
+function priceFor(provider, model) {
+  return config.pricing[`${provider}:${model}`] || config.pricing[provider] || null;
+}
+
+// `usage` is the provider's { promptTokens, completionTokens }; cached replies cost nothing.
+function recordLlmCall({ task, provider, model, latencyMs, usage = {}, cached = false, error = null }) {
+  if (!run) return;
+  write({ level: 'debug', event: 'llm', task, provider, model, latencyMs, usage, cached, error });
+
+  const key = `${provider}:${model}`;
+  if (!run.calls.has(key)) {
+    run.calls.set(key, { provider, model, calls: 0, cached: 0, failed: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0 });
+  }
+  const totals = run.calls.get(key);
+  totals.calls++;
+  if (error) totals.failed++;
+  if (cached) {
+    totals.cached++;
+    return;
+  }
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.latencyMs += latencyMs || 0;
+}
+
+// One row of a batch stage finished; failed ones carry the reason in `error`.
+function recordOutcome({ stage, app, succeeded, status, error, latencyMs }) {
+  if (!run) return;
+  const row = { stage, id: app.id, candidateName: app.candidateName, succeeded: Boolean(succeeded), status, error, latencyMs };
+  run.rows.push(row);
+  write({ level: succeeded ? 'info' : 'warn', event: 'row', ...row });
+}
+
+// An input was shortened to fit a token budget (services/budgetService):
+// `input` is what ("course text", "resume"), `action` how ("summarised",
+// "compressed", "truncated"), with estimated tokens before and after.
+function recordAdjustment({ input, action, subject, fromTokens, toTokens, detail }) {
+  if (!run) return;
+  const adjustment = { input, action, subject, fromTokens, toTokens, detail };
+  run.adjustments.push(adjustment);
+  write({ level: 'info', event: 'budget', ...adjustment });
+}
+
+function buildReport() {
+  const finishedAt = new Date();
+  const providers = [...run.calls.values()].map((totals) => {
+    const price = priceFor(totals.provider, totals.model);
+    const billed = totals.calls - totals.cached;
+    return {
+      ...totals,
+      averageLatencyMs: billed > 0 ? Math.round(totals.latencyMs / billed) : 0,
+      estimatedCostUsd: price
+        ? Number(((totals.promptTokens * price.prompt + totals.completionTokens * price.completion) / 1e6).toFixed(6))
+        : null,
+    };
+  });
+  const sum = (field) => providers.reduce((total, entry) => total + (entry[field] || 0), 0);
+  const rowLatencies = run.rows.map(row => row.latencyMs).filter(Number.isFinite);
+  // "run" works on a row twice (prompts, then sops), so counts are kept per stage too.
+  const stages = {};
+  for (const row of run.rows) {
+    stages[row.stage] = stages[row.stage] || { processed: 0, succeeded: 0, failed: 0 };
+    stages[row.stage].processed++;
+    stages[row.stage][row.succeeded ? 'succeeded' : 'failed']++;
+  }
+
+  return {
+    runId: run.runId,
+    command: run.command,
+    startedAt: run.startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - run.startedAt,
+    rows: {
+      processed: run.rows.length,
+      succeeded: run.rows.filter(row => row.succeeded).length,
+      failed: run.rows.filter(row => !row.succeeded).length,
+      averageLatencyMs: rowLatencies.length ? Math.round(rowLatencies.reduce((a, b) => a + b, 0) / rowLatencies.length) : 0,
+      stages,
+    },
+    failures: run.rows.filter(row => !row.succeeded).map(({ stage, id, candidateName, error, status }) => ({
+      stage, id, candidateName, reason: error || status,
+    })),
+    adjustments: run.adjustments,
+    providers,
+    totals: {
+      calls: sum('calls'),
+      cached: sum('cached'),
+      promptTokens: sum('promptTokens'),
+      completionTokens: sum('completionTokens'),
+      // Models without a price in config.pricing are left out of the estimate.
+      estimatedCostUsd: Number(sum('estimatedCostUsd').toFixed(6)),
+      unpricedModels: providers.filter(entry => entry.estimatedCostUsd === null).map(entry => `${entry.provider}:${entry.model}`),
+    },
+  };
+}
+
+// Console summary of a report, one line per entry.
+function formatReport(report) {
+  const { rows, totals } = report;
+  const stages = Object.entries(rows.stages)
+    .map(([stage, counts]) => `${stage} ${counts.succeeded}/${counts.processed} succeeded`)
+    .join(', ');
+  const cost = totals.unpricedModels.length > 0
+    ? `~$${totals.estimatedCostUsd} (no price for ${totals.unpricedModels.join(', ')})`
+    : `~$${totals.estimatedCostUsd}`;
+  return [
+    `Run summary: ${stages || 'no rows processed'}, ${(report.durationMs / 1000).toFixed(1)}s.`,
+    ...report.failures.map(failure => `  failed ${failure.stage}: ${failure.candidateName || failure.id}: ${failure.reason}`),
+    ...report.adjustments.map(entry => `  ${entry.action} ${entry.input}${entry.subject ? ` for ${entry.subject}` : ''}: `
+      + `~${entry.fromTokens} -> ~${entry.toTokens} tokens${entry.detail ? ` (${entry.detail})` : ''}`),
+    ...report.providers.map(entry => `  ${entry.provider} ${entry.model}: ${entry.calls} call(s)${entry.cached ? ` (${entry.cached} cached)` : ''}`
+      + `, ${entry.promptTokens} prompt + ${entry.completionTokens} completion tokens, avg ${entry.averageLatencyMs} ms`
+      + `${entry.failed ? `, ${entry.failed} failed` : ''}`),
+    `  LLM calls: ${totals.calls}, tokens: ${totals.promptTokens} prompt + ${totals.completionTokens} completion, estimated cost ${cost}.`,
+  ];
+}
+
+// Writes the report and stops recording. Returns { report, reportPath }, or null without a run.
+function finish() {
+  if (!run) return null;
+  const report = buildReport();
+  write({ level: 'info', event: 'report', report });
+  const reportPath = run.file.replace(/\.jsonl$/, '.report.json');
+  fs.writeFileSync(reportPath, redact(JSON.stringify(report, null, 2)), 'utf8');
+  run = null;
+  return { report, reportPath };
+}
+
+module.exports = { start, isActive, write, recordLlmCall, recordOutcome, recordAdjustment, finish, formatReport };
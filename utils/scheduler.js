@@ -0,0 +1,111 @@
+// utils/scheduler.js
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Caps how many calls run at once. A finishing call hands its slot straight to
+// the next waiter, so a caller arriving in between cannot take it as well.
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  async function run(fn) {
+    if (active >= concurrency) {
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      if (waiting.length > 0) waiting.shift()();
+      else active--;
+    }
+  }
+  return { run };
+}
+
+// Classic token bucket: `ratePerMinute` tokens refill continuously up to `burst`.
+// take() resolves once a token is available; waiters are served in order.
+function createTokenBucket({ ratePerMinute, burst = 1 }) {
+  if (!ratePerMinute) return { take: async () => {} };
+
+  const perMs = ratePerMinute / 60000;
+  let tokens = burst;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - updatedAt) * perMs);
+    updatedAt = now;
+  }
+
+  function take() {
+    queue = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil((1 - tokens) / perMs));
+        refill();
+      }
+      tokens -= 1;
+    });
+    return queue;
+  }
+  return { take };
+}
+
+// Rate limits, server errors and dropped connections are worth another try;
+// anything else (bad request, auth, parse errors) is not.
+function isRetryable(error) {
+  // A stream that already produced text is not started over; the caller keeps
+  // the partial text (error.partialText) and can continue from it.
+  if (error.partialText) return false;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return error.name === 'TypeError' || ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED'].includes(error.cause?.code);
+}
+
+// Exponential backoff with jitter. A server-provided Retry-After
+// (error.retryAfterMs) takes precedence over the computed delay; one longer
+// than maxDelayMs (an exhausted daily quota) fails right away instead.
+async function withRetries(fn, { retries = 3, baseDelayMs = 1000, maxDelayMs = 60000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      if (error.retryAfterMs > maxDelayMs) throw error;
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = error.retryAfterMs ?? Math.round(backoff);
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Runs `worker(item, index)` over `items` with at most `concurrency` in flight.
+// `onDone(item, index, result, elapsedMs)` is called in input order, so progress
+// output reads top to bottom even when later items finish first.
+async function runOrdered(items, worker, { concurrency = 1, onDone } = {}) {
+  const limiter = createLimiter(Math.max(1, concurrency));
+  const finished = new Map();
+  let nextToReport = 0;
+
+  const flush = () => {
+    while (finished.has(nextToReport)) {
+      const { result, elapsedMs } = finished.get(nextToReport);
+      finished.delete(nextToReport);
+      if (onDone) onDone(items[nextToReport], nextToReport, result, elapsedMs);
+      nextToReport++;
+    }
+  };
+
+  return Promise.all(items.map((item, index) => limiter.run(async () => {
+    const startedAt = Date.now();
+    const result = await worker(item, index);
+    finished.set(index, { result, elapsedMs: Date.now() - startedAt });
+    flush();
+    return result;
+  })));
+}
+
+module.exports = { sleep, createLimiter, createTokenBucket, withRetries, runOrdered, isRetryable };
@@ -0,0 +1,51 @@
+// utils/schema.js
+
+// Checks a value against the subset of JSON Schema used for LLM structured
+// output: type (string, number, integer, boolean, array, object), enum,
+// properties, required and items. Returns a list of problems, empty when valid,
+// phrased so they can be sent back to the model in a repair request.
+function validate(value, schema, at = '$') {
+  const errors = [];
+  const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type) {
+    const matches = schema.type === 'integer'
+      ? Number.isInteger(value)
+      : actual === schema.type;
+    if (!matches) {
+      errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (actual === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: is missing`);
+    }
+    for (const [key, property] of Object.entries(schema.properties)) {
+      if (key in value) errors.push(...validate(value[key], property, `${at}.${key}`));
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+// The JSON object in a model reply: code fences, reasoning blocks and any text
+// around the outermost braces are ignored. Throws a SyntaxError when there is none.
+function extractJson(text) {
+  const cleaned = String(text)
+    .replace(/<think>[\s\S]*?<\/think>/gi, '')
+    .replace(/```(?:json)?/gi, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new SyntaxError('The reply contains no JSON object.');
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+module.exports = { validate, extractJson };
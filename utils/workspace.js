@@ -0,0 +1,42 @@
+// utils/workspace.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Artifact paths are stored relative to config.paths.workspace, with forward
+// slashes, and resolved again whenever a file is read. Paths outside the
+// workspace stay absolute.
+
+const isAbsoluteAnywhere = (p) => path.posix.isAbsolute(p) || path.win32.isAbsolute(p);
+const segments = (p) => p.split(/[\\/]+/).filter(Boolean);
+
+function toStoredPath(filePath) {
+  const relative = path.relative(config.paths.workspace, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return filePath;
+  return relative.split(path.sep).join('/');
+}
+
+function resolveStoredPath(storedPath) {
+  if (!storedPath) return storedPath;
+  if (path.isAbsolute(storedPath)) return storedPath;
+  // A Windows absolute path can't be read here; leave it for `doctor` to report.
+  if (isAbsoluteAnywhere(storedPath)) return storedPath;
+  return path.join(config.paths.workspace, ...segments(storedPath));
+}
+
+// Maps a path written on another machine (e.g. C:\Users\...\Raw SOP\prompts\x.txt)
+// into this workspace by finding the longest trailing part of it that exists
+// here (prompts/x.txt). Returns the stored form, or null if nothing matches.
+function relocate(storedPath) {
+  const resolved = resolveStoredPath(storedPath);
+  if (fs.existsSync(resolved)) return toStoredPath(resolved);
+
+  const parts = segments(storedPath);
+  for (let i = 1; i < parts.length; i++) {
+    const candidate = path.join(config.paths.workspace, ...parts.slice(i));
+    if (fs.existsSync(candidate)) return toStoredPath(candidate);
+  }
+  return null;
+}
+
+module.exports = { toStoredPath, resolveStoredPath, relocate };
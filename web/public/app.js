@@ -0,0 +1,166 @@
+// web/public/app.js
+const $ = (selector) => document.querySelector(selector);
+let selectedId = null;
+let pollTimer = null;
+
+async function api(method, url, body, { raw = false } = {}) {
+  const options = { method, headers: {} };
+  if (body !== undefined) {
+    options.body = raw ? body : JSON.stringify(body);
+    if (!raw) options.headers['Content-Type'] = 'application/json';
+  }
+  const res = await fetch(url, options);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+}
+
+function toast(message) {
+  const el = $('#toast');
+  el.textContent = message;
+  el.hidden = false;
+  clearTimeout(el.timer);
+  el.timer = setTimeout(() => { el.hidden = true; }, 4000);
+}
+
+const run = (fn) => (...args) => fn(...args).catch(error => toast(error.message));
+
+function badge(stage, job, name) {
+  const status = job && job.status === 'running' && job.type === name ? 'running' : stage.status;
+  const span = document.createElement('span');
+  span.className = `badge ${status}`;
+  span.textContent = stage.approvedAt ? 'approved' : status.replace('_', ' ');
+  if (stage.error) span.title = stage.error;
+  return span;
+}
+
+async function loadApplications() {
+  const applications = await api('GET', '/api/applications');
+  const tbody = $('#applications');
+  tbody.replaceChildren(...applications.map((app) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('selected', app.id === selectedId);
+    const cells = [String(app.row), app.candidateName, [app.courseName, app.universityName].filter(Boolean).join(', ')];
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.append(td);
+    });
+    const sopJob = app.job && (app.job.type === 'revise' ? { ...app.job, type: 'sop' } : app.job);
+    [['prompt', app.stages.prompt], ['sop', app.stages.sop]].forEach(([name, stage]) => {
+      const td = document.createElement('td');
+      td.append(badge(stage, sopJob, name));
+      tr.append(td);
+    });
+    tr.addEventListener('click', run(() => showApplication(app.id)));
+    return tr;
+  }));
+  return applications;
+}
+
+async function loadOptions() {
+  const [resumes, templates, profiles] = await Promise.all([
+    api('GET', '/api/resumes'),
+    api('GET', '/api/templates'),
+    api('GET', '/api/profiles'),
+  ]);
+  const fill = (select, values) => {
+    const first = select.options[0];
+    select.replaceChildren(first, ...values.map(value => new Option(value, value)));
+  };
+  fill($('#resume-select'), resumes);
+  fill($('#template-select'), templates);
+  fill($('#profile-select'), profiles.filter(profile => profile !== 'default'));
+}
+
+function showIssues(issues = []) {
+  $('#issues').replaceChildren(...issues.map((issue) => {
+    const li = document.createElement('li');
+    li.className = issue.severity;
+    li.textContent = issue.message;
+    return li;
+  }));
+}
+
+async function showApplication(id, { keepVersion = false } = {}) {
+  selectedId = id;
+  const app = await api('GET', `/api/applications/${id}`);
+  $('#detail').hidden = false;
+  $('#detail-title').textContent = `${app.row}. ${app.candidateName}${app.courseName ? ` – ${app.courseName}, ${app.universityName}` : ''}`;
+  $('#prompt-text').textContent = app.prompt || (app.stages.prompt.error ? `Failed: ${app.stages.prompt.error}` : 'No prompt yet.');
+  $('#job-status').textContent = app.job ? `${app.job.type}: ${app.job.status}${app.job.error ? ` (${app.job.error})` : ''}` : '';
+
+  const select = $('#version-select');
+  const previous = select.value;
+  const current = app.stages.sop.path.split('/').pop();
+  select.replaceChildren(...app.versions.slice().reverse().map((version) => {
+    const details = [version.rank && `rank ${version.rank}`, version.feedback && 'revision', version.editedBy && 'edited', version.file === current && 'current']
+      .filter(Boolean).join(', ');
+    return new Option(`${version.file}${details ? ` (${details})` : ''}`, version.file);
+  }));
+  if (keepVersion && previous) select.value = previous;
+  else if (app.versions.some(version => version.file === current)) select.value = current;
+
+  if (select.value) await showVersion(select.value);
+  else {
+    $('#sop-text').value = app.sop || '';
+    showIssues(app.stages.sop.issues);
+  }
+
+  await loadApplications();
+  clearTimeout(pollTimer);
+  if (app.job && app.job.status === 'running') {
+    pollTimer = setTimeout(run(() => showApplication(id, { keepVersion: true })), 2000);
+  }
+}
+
+async function showVersion(file) {
+  const version = await api('GET', `/api/applications/${selectedId}/versions/${file}`);
+  $('#sop-text').value = version.text || '';
+  showIssues(version.lint ? version.lint.issues : []);
+}
+
+const actions = {
+  prompt: () => api('POST', `/api/applications/${selectedId}/prompt`),
+  sop: () => api('POST', `/api/applications/${selectedId}/sop`, { drafts: $('#draft-count').value }),
+  revise: () => api('POST', `/api/applications/${selectedId}/revise`, { feedback: $('#feedback').value }),
+  save: async () => {
+    const result = await api('PUT', `/api/applications/${selectedId}/sop`, { text: $('#sop-text').value });
+    toast(result.lint.passed ? `Saved ${result.file}.` : `Saved ${result.file}; it needs review.`);
+  },
+  approve: async () => {
+    await api('POST', `/api/applications/${selectedId}/approve`, { file: $('#version-select').value || undefined });
+    toast('Approved.');
+  },
+};
+
+document.querySelectorAll('[data-action]').forEach((button) => {
+  button.addEventListener('click', run(async () => {
+    await actions[button.dataset.action]();
+    await showApplication(selectedId);
+  }));
+});
+
+$('#version-select').addEventListener('change', run(() => showVersion($('#version-select').value)));
+
+$('#resume-upload').addEventListener('change', run(async (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+  const { fileName } = await api('POST', `/api/resumes?name=${encodeURIComponent(file.name)}`, file, { raw: true });
+  await loadOptions();
+  $('#resume-select').value = fileName;
+  toast(`Uploaded ${fileName}.`);
+}));
+
+$('#add-form').addEventListener('submit', run(async (event) => {
+  event.preventDefault();
+  const form = event.target;
+  const app = await api('POST', '/api/applications', Object.fromEntries(new FormData(form)));
+  form.reset();
+  await showApplication(app.id);
+}));
+
+run(async () => {
+  await loadOptions();
+  await loadApplications();
+})();
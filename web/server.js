@@ -0,0 +1,357 @@
+// web/server.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const config = require('../config');
+const logger = require('../utils/logger');
+const fileUtils = require('../utils/fileUtils');
+const workspace = require('../utils/workspace');
+const credentials = require('../utils/credentials');
+const { SUPPORTED_EXTENSIONS } = require('../utils/resumeReaders');
+const store = require('../services/applicationStore');
+const csvService = require('../services/csvService');
+const artifactService = require('../services/artifactService');
+const lintService = require('../services/lintService');
+const pipelineService = require('../services/pipelineService');
+const templateService = require('../services/templateService');
+
+// Local dashboard: a JSON API over the store and pipeline, plus the static
+// page in web/public. It binds to localhost only and has no authentication, so
+// requests must name a local Host and come from the dashboard's own origin:
+// other web pages (and DNS rebinding) cannot reach the API through the browser.
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const MAX_JSON_BYTES = 2 * 1024 * 1024;
+const MAX_RESUME_BYTES = 15 * 1024 * 1024;
+const CONTENT_TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css' };
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(httpError(413, 'Request body too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Requiring the JSON content type forces a CORS preflight, which cross-origin
+// pages cannot pass, instead of allowing a "simple" text/plain POST.
+async function readJson(req) {
+  const body = await readBody(req, MAX_JSON_BYTES);
+  if (body.length && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw httpError(415, 'Send the body as application/json.');
+  }
+  try {
+    return body.length ? JSON.parse(body.toString('utf8')) : {};
+  } catch (error) {
+    throw httpError(400, 'Invalid JSON body.');
+  }
+}
+
+function send(res, status, body, contentType = 'application/json') {
+  const payload = contentType === 'application/json' ? JSON.stringify(body) : body;
+  res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8`, 'Cache-Control': 'no-store' });
+  res.end(payload);
+}
+
+// Refuses requests whose Host is not local (DNS rebinding) and cross-origin
+// browser requests (Origin is sent with every cross-origin POST and PUT).
+function assertLocalRequest(req) {
+  const host = req.headers.host || '';
+  let hostname;
+  try {
+    hostname = new URL(`http://${host}`).hostname;
+  } catch (error) {
+    hostname = null;
+  }
+  if (![...LOCAL_HOSTS, config.dashboard.host].includes(hostname)) {
+    throw httpError(403, 'The dashboard only answers requests addressed to localhost.');
+  }
+  const origin = req.headers.origin;
+  if (origin && origin !== `http://${host}`) {
+    throw httpError(403, 'Cross-origin requests are not allowed.');
+  }
+}
+
+// --- Background jobs: one pipeline action per application at a time ---
+
+const jobs = new Map();
+
+function startJob(app, type, work) {
+  const running = jobs.get(app.id);
+  if (running && running.status === 'running') {
+    throw httpError(409, `A ${running.type} job is already running for this application.`);
+  }
+  const job = { type, status: 'running', startedAt: new Date().toISOString(), error: null };
+  jobs.set(app.id, job);
+  work()
+    .then(() => { job.status = 'done'; })
+    .catch((error) => {
+      job.status = 'failed';
+      job.error = credentials.redact(error.message);
+      logger.error(`Dashboard ${type} job failed for ${app.candidateName}.`, error.message);
+    })
+    .finally(() => { job.finishedAt = new Date().toISOString(); });
+  return job;
+}
+
+// Edits are refused while a job could still overwrite the record.
+function assertIdle(app) {
+  const running = jobs.get(app.id);
+  if (running && running.status === 'running') {
+    throw httpError(409, `Wait for the running ${running.type} job to finish.`);
+  }
+}
+
+// --- Helpers ---
+
+async function findApplication(id) {
+  const applications = await store.load();
+  const index = applications.findIndex(app => app.id === id);
+  if (index === -1) throw httpError(404, `No application with id ${id}.`);
+  return { app: applications[index], row: index + 1 };
+}
+
+function readStored(storedPath) {
+  const filePath = workspace.resolveStoredPath(storedPath);
+  return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+function summarize(app, row) {
+  const { id, candidateName, resumeFile, courseInput, documentType, courseName, universityName, feedback, profile, stages } = app;
+  return { id, row, candidateName, resumeFile, courseInput, documentType, courseName, universityName, feedback, profile, stages, job: jobs.get(id) || null };
+}
+
+function sopVersions(app) {
+  if (!app.folder) return [];
+  return artifactService.readManifest(artifactService.applicationDir(app)).artifacts
+    .filter(entry => entry.kind === 'sop')
+    .map(({ file, version, createdAt, model, rank, score, lint, feedback, editedBy }) => ({
+      file, version, createdAt, model, rank, score, lint, feedback, editedBy,
+      storedPath: workspace.toStoredPath(path.join(artifactService.applicationDir(app), file)),
+    }));
+}
+
+// Marks the SOP stage by its lint result, as the pipeline does after generation.
+function recordSop(app, storedPath, text) {
+  const promptText = readStored(app.stages.prompt.path) || '';
+  const lint = lintService.lint(text, pipelineService.expectationsFor(app, promptText));
+  if (lint.passed) store.completeStage(app, 'sop', storedPath);
+  else store.flagStage(app, 'sop', storedPath, lint.issues);
+  return lint;
+}
+
+// --- Routes ---
+
+const routes = [];
+const route = (method, pattern, handler) => routes.push({ method, pattern, handler });
+
+route('GET', /^\/api\/applications$/, async () => {
+  const applications = await store.load();
+  return applications.map((app, index) => summarize(app, index + 1));
+});
+
+route('POST', /^\/api\/applications$/, async (req) => {
+  const body = await readJson(req);
+  if (!(body.candidateName || '').trim() || !(body.courseInput || '').trim()) {
+    throw httpError(400, 'A candidate name and a course URL or text are required.');
+  }
+  if (body.documentType) templateService.loadTemplate(body.documentType);
+  if (body.profile) credentials.resolveProfile(body.profile);
+  const applications = await store.load();
+  const record = store.add({
+    candidateName: body.candidateName.trim(),
+    resumeFile: (body.resumeFile || '').trim(),
+    courseInput: body.courseInput.trim(),
+    documentType: (body.documentType || '').trim(),
+    profile: (body.profile || '').trim(),
+  });
+  return summarize(record, applications.length + 1);
+});
+
+route('GET', /^\/api\/applications\/(\w+)$/, async (req, [id]) => {
+  const { app, row } = await findApplication(id);
+  return {
+    ...summarize(app, row),
+    prompt: readStored(app.stages.prompt.path),
+    sop: store.hasArtifact(app.stages.sop) ? readStored(app.stages.sop.path) : null,
+    versions: sopVersions(app),
+  };
+});
+
+route('GET', /^\/api\/applications\/(\w+)\/versions\/([\w.-]+)$/, async (req, [id, file]) => {
+  const { app } = await findApplication(id);
+  const version = sopVersions(app).find(entry => entry.file === file);
+  if (!version) throw httpError(404, `No SOP version ${file}.`);
+  return { ...version, text: readStored(version.storedPath) };
+});
+
+// Regenerates the prompt (course metadata, resume, template) from scratch. The
+// SOP was written from the old prompt, so it goes back to pending as well; its
+// versions stay in the application's folder.
+route('POST', /^\/api\/applications\/(\w+)\/prompt$/, async (req, [id]) => {
+  const { app } = await findApplication(id);
+  return startJob(app, 'prompt', async () => {
+    store.resetStage(app, 'prompt');
+    store.resetStage(app, 'sop');
+    await pipelineService.generatePrompts([app]);
+    if (app.stages.prompt.status === 'failed') throw new Error(app.stages.prompt.error);
+  });
+});
+
+route('POST', /^\/api\/applications\/(\w+)\/sop$/, async (req, [id]) => {
+  const body = await readJson(req);
+  const { app } = await findApplication(id);
+  if (app.stages.prompt.status !== 'done') throw httpError(409, 'Generate the prompt first.');
+  return startJob(app, 'sop', async () => {
+    store.resetStage(app, 'sop');
+    await pipelineService.generateSops([app], { drafts: parseInt(body.drafts, 10) || undefined });
+    if (app.stages.sop.status === 'failed') throw new Error(app.stages.sop.error);
+  });
+});
+
+route('POST', /^\/api\/applications\/(\w+)\/revise$/, async (req, [id]) => {
+  const { feedback } = await readJson(req);
+  if (!(feedback || '').trim()) throw httpError(400, 'Feedback is required.');
+  const { app } = await findApplication(id);
+  if (!store.hasArtifact(app.stages.sop)) throw httpError(409, 'There is no SOP to revise yet.');
+  return startJob(app, 'revise', async () => {
+    const { succeeded } = await pipelineService.reviseSops([app], { feedback: feedback.trim() });
+    if (succeeded === 0) throw new Error('The revision failed; see the server log.');
+  });
+});
+
+// Saves a hand-edited SOP as a new version and makes it current.
+route('PUT', /^\/api\/applications\/(\w+)\/sop$/, async (req, [id]) => {
+  const { text } = await readJson(req);
+  if (!(text || '').trim()) throw httpError(400, 'The SOP text is empty.');
+  const { app } = await findApplication(id);
+  assertIdle(app);
+  const artifact = artifactService.writeArtifact(app, 'sop', text.trim(), {
+    meta: { editedBy: 'dashboard', inputs: [app.stages.sop.path].filter(Boolean) },
+  });
+  const lint = recordSop(app, artifact.storedPath, text);
+  return { file: artifact.file, lint, stages: app.stages };
+});
+
+// Makes a version current and signs it off, whatever the linter said.
+route('POST', /^\/api\/applications\/(\w+)\/approve$/, async (req, [id]) => {
+  const { file } = await readJson(req);
+  const { app } = await findApplication(id);
+  assertIdle(app);
+  const version = file
+    ? sopVersions(app).find(entry => entry.file === file)
+    : { storedPath: app.stages.sop.path };
+  const text = version && readStored(version.storedPath);
+  if (!text) throw httpError(404, 'SOP version not found.');
+  store.approveStage(app, 'sop', version.storedPath, artifactService.sha256(text));
+  return { stages: app.stages };
+});
+
+route('GET', /^\/api\/templates$/, async () => templateService.listTemplates());
+
+// Profile names only; the keys never leave the server.
+route('GET', /^\/api\/profiles$/, async () => credentials.profileNames());
+
+route('GET', /^\/api\/resumes$/, async () => {
+  if (!fs.existsSync(config.paths.resumes)) return [];
+  return fs.readdirSync(config.paths.resumes)
+    .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+});
+
+// The file is sent as the raw request body, named by ?name=.
+route('POST', /^\/api\/resumes$/, async (req, params, url) => {
+  const original = path.basename(url.searchParams.get('name') || '');
+  const ext = path.extname(original).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw httpError(400, `Resumes must be one of: ${SUPPORTED_EXTENSIONS.join(', ')}.`);
+  }
+  const body = await readBody(req, MAX_RESUME_BYTES);
+  if (body.length === 0) throw httpError(400, 'The uploaded file is empty.');
+  const fileName = `${fileUtils.sanitizeFileName(path.basename(original, ext))}${ext}`;
+  // Applications refer to resumes by name; replacing one would change their input unnoticed.
+  if (fs.existsSync(path.join(config.paths.resumes, fileName))) {
+    throw httpError(409, `A resume named ${fileName} already exists; rename the file or pick the existing one.`);
+  }
+  fs.mkdirSync(config.paths.resumes, { recursive: true });
+  fs.writeFileSync(path.join(config.paths.resumes, fileName), body);
+  logger.success(`Resume uploaded: ${fileName}`);
+  return { fileName };
+});
+
+route('GET', /^\/api\/export\.csv$/, async () => {
+  const tmpFile = path.join(os.tmpdir(), `sop-dashboard-${process.pid}.csv`);
+  await csvService.writeApplications(store.toCsvRows(await store.load()), { csvFile: tmpFile });
+  const csv = fs.readFileSync(tmpFile, 'utf8');
+  fs.unlinkSync(tmpFile);
+  return { raw: csv, contentType: 'text/csv' };
+});
+
+function serveStatic(res, pathname) {
+  const file = pathname === '/' ? 'index.html' : pathname.slice(1);
+  const filePath = path.join(PUBLIC_DIR, file);
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep) || !fs.existsSync(filePath)) {
+    send(res, 404, 'Not found', 'text/plain');
+    return;
+  }
+  send(res, 200, fs.readFileSync(filePath), CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    assertLocalRequest(req);
+  } catch (error) {
+    send(res, error.status, { error: error.message });
+    return;
+  }
+  if (!url.pathname.startsWith('/api/')) {
+    serveStatic(res, url.pathname);
+    return;
+  }
+
+  try {
+    for (const { method, pattern, handler } of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      if (req.method !== method) continue;
+      const result = await handler(req, match.slice(1), url);
+      if (result && result.raw !== undefined) send(res, 200, result.raw, result.contentType);
+      else send(res, 200, result);
+      return;
+    }
+    throw httpError(404, `No route for ${req.method} ${url.pathname}.`);
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) logger.error(`Dashboard request failed: ${req.method} ${url.pathname}`, error.message);
+    send(res, status, { error: credentials.redact(error.message) });
+  }
+}
+
+function startServer({ port = config.dashboard.port, host = config.dashboard.host } = {}) {
+  const server = http.createServer((req, res) => { handle(req, res); });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = { startServer };